@@ -0,0 +1,258 @@
+import path from 'path';
+import { globToRegExp } from './CategoryRules.js';
+import { DAYS, parseHours } from './ClockSchedule.js';
+import { readJsonConfig } from './jsonFiles.js';
+
+// No campaigns sold: breaks are filled with library ads
+const DEFAULT_CAMPAIGNS = {
+  breakLength: 120, // seconds of commercials per break
+  campaigns: []
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Local calendar day, the unit flights and daily targets are counted in
+function getDay(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Sold ad inventory. Campaigns have a flight, dayparts and a daily number of
+// plays, breaks are filled to their target length from the campaigns most
+// behind on delivery, with unsold time going to ads outside any campaign.
+export class AdCampaigns {
+  constructor(audioLibrary, options = {}) {
+    this.audioLibrary = audioLibrary;
+    this.configFile = options.configFile;
+    this.asRunLog = options.asRunLog || null;
+    this.plannedRetention = options.plannedRetention || 2 * 60 * 60 * 1000;
+
+    this.campaigns = [];
+    this.aired = new Map(); // "campaignId day" -> plays that aired
+    this.planned = []; // { item, campaignId, day, time } queued but not aired yet
+    this.setCampaigns(DEFAULT_CAMPAIGNS);
+  }
+
+  // After the library scan, creatives are matched against it
+  async load() {
+    this.setCampaigns(await readJsonConfig(this.configFile, DEFAULT_CAMPAIGNS, 'campaigns'));
+
+    for (const campaign of this.campaigns) {
+      if (this.getCreatives(campaign).length === 0) {
+        console.warn(`⚠️  Campaign "${campaign.id}" has no creatives in the ads library`);
+      }
+    }
+    console.log(`💰 Loaded ${this.campaigns.length} ad campaigns`);
+
+    // Plays that aired earlier today still count towards today's targets
+    if (this.asRunLog) {
+      try {
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        const entries = await this.asRunLog.query({ from: midnight, type: 'ad' });
+        entries
+          .filter(entry => entry.campaign)
+          .forEach(entry => this.countAired(entry.campaign, Date.parse(entry.start)));
+      } catch (error) {
+        console.warn('Failed to read today\'s ad plays:', error.message);
+      }
+    }
+  }
+
+  setCampaigns(config) {
+    this.breakLength = Math.max(0, Number(config.breakLength ?? DEFAULT_CAMPAIGNS.breakLength)) * 1000;
+    this.campaigns = (config.campaigns || [])
+      .map((campaign, index) => this.compileCampaign(campaign, index))
+      .filter(Boolean);
+  }
+
+  compileCampaign(campaign, index) {
+    const id = campaign.id || campaign.advertiser;
+    const problems = [];
+
+    if (!id) problems.push('no id or advertiser');
+    if (!Array.isArray(campaign.creatives) || campaign.creatives.length === 0) problems.push('no creatives');
+    if (campaign.start && !DATE_PATTERN.test(campaign.start)) problems.push(`invalid start "${campaign.start}"`);
+    if (campaign.end && !DATE_PATTERN.test(campaign.end)) problems.push(`invalid end "${campaign.end}"`);
+
+    const playsPerDay = parseInt(campaign.playsPerDay, 10);
+    if (!(playsPerDay > 0)) problems.push('playsPerDay must be a positive number');
+
+    if (problems.length > 0) {
+      console.warn(`⚠️  Campaign #${index + 1} ignored: ${problems.join(', ')}`);
+      return null;
+    }
+
+    return {
+      id: String(id),
+      advertiser: campaign.advertiser || String(id),
+      // Campaigns sharing a category never air in the same break
+      category: campaign.category ? String(campaign.category).toLowerCase() : null,
+      creatives: campaign.creatives.map(glob => globToRegExp(glob)),
+      start: campaign.start || null,
+      end: campaign.end || null,
+      dayparts: (campaign.dayparts || []).map(daypart => ({
+        days: daypart.days ? new Set(daypart.days.map(day => day.slice(0, 3).toLowerCase())) : null,
+        hours: parseHours(daypart.hours)
+      })),
+      playsPerDay,
+      nextCreative: 0
+    };
+  }
+
+  getCreatives(campaign) {
+    return this.audioLibrary.library.ads.filter(ad => {
+      const relativePath = this.audioLibrary.getRelativePath(ad.path);
+      return campaign.creatives.some(pattern => pattern.test(relativePath));
+    });
+  }
+
+  isActive(campaign, time) {
+    const day = getDay(time);
+    if (campaign.start && day < campaign.start) return false;
+    if (campaign.end && day > campaign.end) return false;
+    if (campaign.dayparts.length === 0) return true;
+
+    const date = new Date(time);
+    return campaign.dayparts.some(daypart =>
+      (!daypart.days || daypart.days.has(DAYS[date.getDay()])) &&
+      (!daypart.hours || daypart.hours.has(date.getHours())));
+  }
+
+  // Aired plus still queued plays on the day of `time`
+  getPlays(campaignId, time) {
+    const day = getDay(time);
+    const planned = this.planned.filter(entry => entry.campaignId === campaignId && entry.day === day).length;
+    return (this.aired.get(`${campaignId} ${day}`) || 0) + planned;
+  }
+
+  // The ads for one break at `time`, at most `breakLength` long
+  buildBreak(time = Date.now()) {
+    this.prunePlanned();
+
+    const ads = [];
+    const usedCampaigns = new Set();
+    const usedCategories = new Set();
+    let remaining = this.breakLength;
+
+    const fits = ad => (ad.duration || 30000) <= remaining;
+
+    while (remaining > 0) {
+      // Furthest behind on its daily target goes first
+      const campaign = this.campaigns
+        .filter(candidate => !usedCampaigns.has(candidate.id) && !usedCategories.has(candidate.category))
+        .filter(candidate => this.isActive(candidate, time))
+        .map(candidate => ({ candidate, delivered: this.getPlays(candidate.id, time) / candidate.playsPerDay }))
+        .filter(({ candidate, delivered }) => delivered < 1 && this.getCreatives(candidate).some(fits))
+        .sort((a, b) => a.delivered - b.delivered)[0]?.candidate;
+
+      if (!campaign) break;
+
+      const creatives = this.getCreatives(campaign).filter(fits);
+      const creative = creatives[campaign.nextCreative++ % creatives.length];
+      const ad = { ...creative, startTime: Date.now(), campaignId: campaign.id, advertiser: campaign.advertiser };
+
+      ads.push(ad);
+      this.planned.push({ item: ad, campaignId: campaign.id, day: getDay(time), time });
+      usedCampaigns.add(campaign.id);
+      if (campaign.category) usedCategories.add(campaign.category);
+      remaining -= ad.duration || 30000;
+    }
+
+    // Unsold time goes to ads that belong to no campaign
+    const sold = new Set(this.campaigns.flatMap(campaign => this.getCreatives(campaign)).map(ad => ad.path));
+    let unsold = this.audioLibrary.library.ads.filter(ad => !sold.has(ad.path));
+
+    while (remaining > 0) {
+      unsold = unsold.filter(fits);
+      const ad = this.audioLibrary.getRandomFrom(unsold);
+      if (!ad) break;
+
+      ads.push({ ...ad, startTime: Date.now() });
+      unsold = unsold.filter(candidate => candidate.path !== ad.path); // getRandomFrom hands out copies
+      remaining -= ad.duration || 30000;
+    }
+
+    const commercial = ads.filter(ad => ad.campaignId).length;
+    console.log(`💰 Ad break: ${commercial} campaign spots, ${ads.length - commercial} unsold fillers, ${Math.round((this.breakLength - remaining) / 1000)}s of ${this.breakLength / 1000}s`);
+    return ads;
+  }
+
+  // Called when an ad actually goes on air
+  markAired(item, time = Date.now()) {
+    const index = this.planned.findIndex(entry => entry.item === item);
+    if (index !== -1) {
+      this.planned.splice(index, 1);
+    }
+    this.countAired(item.campaignId, time);
+  }
+
+  countAired(campaignId, time) {
+    const key = `${campaignId} ${getDay(time)}`;
+    this.aired.set(key, (this.aired.get(key) || 0) + 1);
+  }
+
+  // Planned spots that were dropped or skipped stop counting after a while
+  prunePlanned() {
+    const cutoff = Date.now() - this.plannedRetention;
+    this.planned = this.planned.filter(entry => entry.time >= cutoff);
+
+    const today = getDay(Date.now());
+    for (const key of this.aired.keys()) {
+      if (key.slice(key.lastIndexOf(' ') + 1) < today) this.aired.delete(key);
+    }
+  }
+
+  // Per campaign targets against what the as-run log says aired in the range
+  async getDeliveryReport({ from, to } = {}) {
+    const end = to ? new Date(to).getTime() : Date.now();
+    let start = from ? new Date(from).getTime() : null;
+    if (start === null) {
+      const midnight = new Date(end);
+      midnight.setHours(0, 0, 0, 0);
+      start = midnight.getTime();
+    }
+
+    const entries = this.asRunLog
+      ? await this.asRunLog.query({ from: start, to: end, type: 'ad' })
+      : [];
+
+    const days = [];
+    for (let day = new Date(start); day.getTime() < end; day.setDate(day.getDate() + 1)) {
+      days.push(getDay(day));
+    }
+
+    return this.campaigns.map(campaign => {
+      const spots = entries.filter(entry => entry.campaign === campaign.id);
+      const flightDays = days.filter(day =>
+        (!campaign.start || day >= campaign.start) && (!campaign.end || day <= campaign.end));
+      const target = flightDays.length * campaign.playsPerDay;
+
+      return {
+        id: campaign.id,
+        advertiser: campaign.advertiser,
+        category: campaign.category,
+        flight: { start: campaign.start, end: campaign.end },
+        playsPerDay: campaign.playsPerDay,
+        target,
+        aired: spots.length,
+        delivery: target > 0 ? Math.round((spots.length / target) * 1000) / 10 : null,
+        airtime: spots.reduce((total, entry) => total + (entry.duration || 0), 0),
+        days: flightDays.map(day => ({
+          date: day,
+          target: campaign.playsPerDay,
+          aired: spots.filter(entry => getDay(Date.parse(entry.start)) === day).length
+        })),
+        creatives: Object.entries(spots.reduce((counts, entry) => {
+          counts[entry.path] = (counts[entry.path] || 0) + 1;
+          return counts;
+        }, {})).map(([creative, aired]) => ({
+          // Lines logged before paths were stored relative are absolute
+          path: path.isAbsolute(creative) ? this.audioLibrary.getRelativePath(creative) : creative,
+          aired
+        }))
+      };
+    });
+  }
+}
@@ -0,0 +1,59 @@
+// Splits an AAC/ADTS byte stream into whole frames, the same way
+// Mp3FrameParser does for MP3, so new listeners start on a frame boundary.
+
+const SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+export class AdtsFrameParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  static parseHeader(buffer, offset = 0) {
+    if (buffer.length - offset < 7) return null;
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xf6) !== 0xf0) return null;
+
+    const sampleRate = SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0x0f];
+    const frameLength = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+    const blocks = (buffer[offset + 6] & 0x03) + 1;
+    if (!sampleRate || frameLength < 7) return null;
+
+    return { sampleRate, frameLength, samplesPerFrame: blocks * 1024 };
+  }
+
+  // Returns the complete frames contained in the buffered data plus this chunk
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+    let offset = 0;
+
+    while (offset + 7 <= this.buffer.length) {
+      const header = AdtsFrameParser.parseHeader(this.buffer, offset);
+
+      if (!header) {
+        offset = this.skipToNextSync(offset + 1);
+        continue;
+      }
+
+      if (offset + header.frameLength > this.buffer.length) break;
+
+      frames.push({
+        data: this.buffer.subarray(offset, offset + header.frameLength),
+        sampleRate: header.sampleRate,
+        samples: header.samplesPerFrame
+      });
+      offset += header.frameLength;
+    }
+
+    this.buffer = Buffer.from(this.buffer.subarray(offset));
+    return frames;
+  }
+
+  skipToNextSync(offset) {
+    const next = this.buffer.indexOf(0xff, offset);
+    return next === -1 ? this.buffer.length : next;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+}
@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const CACHE_VERSION = 2;
+
+// On-disk store for probe and loudness results. Entries are keyed by path and
+// only trusted while the file's size and mtime are unchanged.
+export class AnalysisCache {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.saveDelay = options.saveDelay || 5000;
+    this.entries = new Map();
+    this.dirty = false;
+    this.saveTimer = null;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      if (data.version !== CACHE_VERSION) {
+        console.log('🗂️  Analysis cache format changed, starting fresh');
+        return;
+      }
+
+      this.entries = new Map(Object.entries(data.entries || {}));
+      console.log(`🗂️  Loaded ${this.entries.size} cached analyses`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load analysis cache:', error.message);
+      }
+    }
+  }
+
+  get(filePath, stats) {
+    const entry = this.entries.get(filePath);
+    if (!entry || entry.size !== stats.size || entry.mtime !== stats.mtimeMs) {
+      return null;
+    }
+    return entry;
+  }
+
+  set(filePath, stats, fields) {
+    const entry = this.get(filePath, stats) || { size: stats.size, mtime: stats.mtimeMs };
+    Object.assign(entry, fields);
+    this.entries.set(filePath, entry);
+    this.scheduleSave();
+  }
+
+  delete(filePath) {
+    if (this.entries.delete(filePath)) {
+      this.scheduleSave();
+    }
+  }
+
+  // Drop entries for files that no longer exist
+  prune(existingPaths) {
+    const keep = new Set(existingPaths);
+    for (const filePath of this.entries.keys()) {
+      if (!keep.has(filePath)) {
+        this.delete(filePath);
+      }
+    }
+  }
+
+  scheduleSave() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.warn('Failed to save analysis cache:', error.message));
+    }, this.saveDelay);
+    this.saveTimer.unref?.();
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const data = {
+      version: CACHE_VERSION,
+      entries: Object.fromEntries(this.entries)
+    };
+
+    // Write then rename so a crash never leaves a truncated cache behind
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data), 'utf8');
+    await fs.rename(tempFile, this.filePath);
+  }
+}
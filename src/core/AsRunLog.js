@@ -0,0 +1,160 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { appendJsonLine } from './jsonFiles.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Proof of what aired. Every item the stream manager starts is appended to a
+// JSON-lines file per (UTC) day once it stops, with the time it really ran.
+export class AsRunLog {
+  constructor(streamManager, options = {}) {
+    this.streamManager = streamManager;
+    this.logPath = options.logPath;
+    this.audioLibrary = options.audioLibrary || null; // set by the station once the scheduler exists
+    this.maxRangeDays = options.maxRangeDays || 92;
+    this.current = null;
+    this.writeQueue = Promise.resolve(); // keeps lines in airing order
+
+    this.streamManager.on('trackchange', (track) => this.start(track));
+    this.streamManager.on('voiceover', (item) => this.write(this.createEntry(item, Date.now(), item.duration)));
+    this.streamManager.on('fallback', (track) => {
+      if (this.current?.track === track) this.current.entry.fallback = true;
+    });
+    this.streamManager.on('stopped', () => this.finish());
+  }
+
+  start(track) {
+    this.finish();
+    this.current = { track, entry: this.createEntry(track, Date.now(), null) };
+  }
+
+  finish() {
+    if (!this.current) return;
+
+    const { entry } = this.current;
+    entry.duration = Date.now() - Date.parse(entry.start);
+    this.current = null;
+    this.write(entry);
+  }
+
+  createEntry(item, startTime, duration) {
+    const tags = item.metadata?.tags || {};
+
+    return {
+      start: new Date(startTime).toISOString(),
+      duration,
+      type: item.type,
+      path: item.path ? this.getRelativePath(item.path) : null,
+      itemId: item.id || null,
+      title: item.title || null,
+      artist: item.artist || null,
+      album: item.album || null,
+      isrc: tags.isrc || tags.tsrc || null,
+      label: tags.publisher || tags.label || tags.organization || null,
+      composer: tags.composer || null,
+      campaign: item.campaignId || null,
+      listeners: this.streamManager.getListenerCount(),
+      fallback: !item.path
+    };
+  }
+
+  // Logs are served by the API, so no absolute server paths
+  getRelativePath(filePath) {
+    return this.audioLibrary ? this.audioLibrary.getRelativePath(filePath) : path.basename(filePath);
+  }
+
+  write(entry) {
+    const file = this.getFile(Date.parse(entry.start));
+    this.writeQueue = this.writeQueue
+      .then(() => appendJsonLine(file, entry))
+      .catch(error => console.warn('Failed to write as-run log:', error.message));
+  }
+
+  getFile(time) {
+    return path.join(this.logPath, `${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+  }
+
+  // Entries that started within [from, to), oldest first
+  async query({ from, to, type } = {}) {
+    const end = to ? new Date(to).getTime() : Date.now();
+    const start = from ? new Date(from).getTime() : end - DAY;
+
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+      throw Object.assign(new Error('Invalid date range'), { statusCode: 400 });
+    }
+    if (end - start > this.maxRangeDays * DAY) {
+      throw Object.assign(new Error(`Date range is limited to ${this.maxRangeDays} days`), { statusCode: 400 });
+    }
+
+    await this.writeQueue;
+    const entries = [];
+    const firstDay = start - (start % DAY);
+
+    for (let day = firstDay; day < end; day += DAY) {
+      let content;
+      try {
+        content = await fs.readFile(this.getFile(day), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+          const entry = JSON.parse(line);
+          const time = Date.parse(entry.start);
+          if (time >= start && time < end && (!type || entry.type === type)) {
+            entries.push(entry);
+          }
+        } catch {
+          // A torn last line after a crash is skipped
+        }
+      }
+    }
+
+    // Lines are written when an item ends, voice-overs when they start
+    return entries.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  }
+
+  // One row per performance, with the columns SoundExchange and PRS returns ask for
+  toCsv(entries, serviceName) {
+    const columns = [
+      'Name of Service', 'Date', 'Time', 'Duration', 'Featured Artist', 'Sound Recording Title',
+      'Album Title', 'ISRC', 'Marketing Label', 'Composer', 'Actual Total Performances'
+    ];
+
+    const rows = entries.map(entry => {
+      const start = new Date(entry.start);
+      return [
+        serviceName,
+        start.toISOString().slice(0, 10),
+        start.toISOString().slice(11, 19),
+        formatDuration(entry.duration),
+        entry.artist,
+        entry.title,
+        entry.album,
+        entry.isrc,
+        entry.label,
+        entry.composer,
+        entry.listeners
+      ];
+    });
+
+    return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round((ms || 0) / 1000);
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+// Tags are free text: one starting like a formula would run in a spreadsheet
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
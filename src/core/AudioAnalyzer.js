@@ -1,102 +1,209 @@
 import ffmpeg from 'fluent-ffmpeg';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { AnalysisCache } from './AnalysisCache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 export class AudioAnalyzer {
-  constructor() {
-    this.durationCache = new Map();
-    this.metadataCache = new Map();
+  constructor(options = {}) {
+    this.cache = new AnalysisCache(options.cacheFile || path.join(__dirname, '../../data/analysis-cache.json'));
+    this.pending = new Map(); // in-flight probes, so concurrent callers share one
+    this.cacheLoaded = false;
   }
 
-  async analyzeDuration(filePath) {
-    // Check cache first
-    const cacheKey = `${filePath}_${await this.getFileModTime(filePath)}`;
-    if (this.durationCache.has(cacheKey)) {
-      return this.durationCache.get(cacheKey);
+  async loadCache() {
+    if (this.cacheLoaded) return;
+    this.cacheLoaded = true;
+    await this.cache.load();
+  }
+
+  async saveCache() {
+    await this.cache.save();
+  }
+
+  // A single ffprobe per file fills every field. Results persist across restarts
+  // and are reused until the file's size or mtime changes.
+  analyzeFile(filePath) {
+    if (this.pending.has(filePath)) {
+      return this.pending.get(filePath);
+    }
+
+    const analysis = this.runAnalysis(filePath).finally(() => this.pending.delete(filePath));
+    this.pending.set(filePath, analysis);
+    return analysis;
+  }
+
+  async runAnalysis(filePath) {
+    const stats = await this.getFileStats(filePath);
+    const cached = stats && this.cache.get(filePath, stats);
+    if (cached?.probe) {
+      return cached.probe;
     }
 
     try {
-      const duration = await this.probeDuration(filePath);
-      this.durationCache.set(cacheKey, duration);
-      return duration;
+      const probe = this.parseProbe(filePath, await this.probeFile(filePath));
+      if (stats && probe.valid) {
+        this.cache.set(filePath, stats, { probe });
+      }
+      return probe;
     } catch (error) {
-      console.warn(`Failed to probe duration for ${filePath}:`, error.message);
-      return this.estimateDurationFromFileSize(filePath);
+      // Failures are not cached, the file is retried on the next scan
+      const metadata = this.extractMetadataFromFilename(filePath);
+      return {
+        valid: false,
+        error: error.message,
+        duration: null,
+        metadata,
+        streamingInfo: this.buildStreamingInfo(filePath, metadata)
+      };
+    }
+  }
+
+  async analyzeDuration(filePath) {
+    const { duration } = await this.analyzeFile(filePath);
+    if (duration) {
+      return duration;
     }
+
+    console.warn(`Failed to probe duration for ${filePath}, estimating from size`);
+    return this.estimateDurationFromFileSize(filePath);
   }
 
   async analyzeMetadata(filePath) {
-    const cacheKey = `${filePath}_${await this.getFileModTime(filePath)}`;
-    if (this.metadataCache.has(cacheKey)) {
-      return this.metadataCache.get(cacheKey);
+    const { metadata } = await this.analyzeFile(filePath);
+    return metadata;
+  }
+
+  // EBU R128 integrated loudness and true peak, needs a full decode so it is cached
+  async analyzeLoudness(filePath) {
+    const stats = await this.getFileStats(filePath);
+    const cached = stats && this.cache.get(filePath, stats);
+    if (cached?.loudness) {
+      return cached.loudness;
     }
 
     try {
-      const metadata = await this.probeMetadata(filePath);
-      this.metadataCache.set(cacheKey, metadata);
-      return metadata;
+      const loudness = await this.measureLoudness(filePath);
+      if (stats) {
+        this.cache.set(filePath, stats, { loudness });
+      }
+      return loudness;
     } catch (error) {
-      console.warn(`Failed to probe metadata for ${filePath}:`, error.message);
-      return this.extractMetadataFromFilename(filePath);
+      console.warn(`Failed to measure loudness for ${filePath}:`, error.message);
+      return null;
     }
   }
 
-  probeDuration(filePath) {
+  forget(filePath) {
+    this.cache.delete(filePath);
+  }
+
+  measureLoudness(filePath) {
     return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(filePath, (err, metadata) => {
-        if (err) {
-          reject(err);
+      const ffmpegProcess = spawn('ffmpeg', [
+        '-hide_banner',
+        '-nostats',
+        '-i', filePath,
+        '-vn',
+        '-af', 'loudnorm=print_format=json',
+        '-f', 'null',
+        '-'
+      ]);
+
+      let output = '';
+      ffmpegProcess.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+
+      ffmpegProcess.on('error', reject);
+      ffmpegProcess.on('close', (code) => {
+        // loudnorm prints its measurements as a JSON block at the end
+        const match = output.match(/\{[^{}]*"input_i"[^{}]*\}/);
+        if (code !== 0 || !match) {
+          reject(new Error(`loudness analysis failed with code ${code}`));
           return;
         }
 
-        const duration = metadata.format.duration;
-        if (duration && !isNaN(duration)) {
-          resolve(Math.floor(duration * 1000)); // Convert to milliseconds
-        } else {
-          reject(new Error('No duration found in metadata'));
-        }
+        const data = JSON.parse(match[0]);
+        const toNumber = (value) => {
+          const number = parseFloat(value);
+          return Number.isFinite(number) ? number : null;
+        };
+
+        resolve({
+          integrated: toNumber(data.input_i), // LUFS
+          truePeak: toNumber(data.input_tp), // dBTP
+          range: toNumber(data.input_lra), // LU
+          threshold: toNumber(data.input_thresh)
+        });
       });
     });
   }
 
-  probeMetadata(filePath) {
+  probeFile(filePath) {
     return new Promise((resolve, reject) => {
       ffmpeg.ffprobe(filePath, (err, metadata) => {
         if (err) {
           reject(err);
           return;
         }
+        resolve(metadata);
+      });
+    });
+  }
 
-        const tags = metadata.format.tags || {};
-        const result = {
-          title: tags.title || tags.TITLE || null,
-          artist: tags.artist || tags.ARTIST || null,
-          album: tags.album || tags.ALBUM || null,
-          duration: metadata.format.duration ? Math.floor(metadata.format.duration * 1000) : null,
-          bitrate: metadata.format.bit_rate ? Math.floor(metadata.format.bit_rate / 1000) : null,
-          sampleRate: null,
-          channels: null
-        };
+  parseProbe(filePath, probeData) {
+    const tags = probeData.format.tags || {};
+    const formatDuration = parseFloat(probeData.format.duration);
+    const duration = Number.isFinite(formatDuration) && formatDuration > 0
+      ? Math.floor(formatDuration * 1000) // Convert to milliseconds
+      : null;
 
-        // Extract audio stream info
-        const audioStream = metadata.streams?.find(s => s.codec_type === 'audio');
-        if (audioStream) {
-          result.sampleRate = audioStream.sample_rate;
-          result.channels = audioStream.channels;
-        }
+    const metadata = {
+      title: tags.title || tags.TITLE || null,
+      artist: tags.artist || tags.ARTIST || null,
+      album: tags.album || tags.ALBUM || null,
+      duration,
+      bitrate: probeData.format.bit_rate ? Math.floor(probeData.format.bit_rate / 1000) : null,
+      sampleRate: null,
+      channels: null,
+      codec: null,
+      tags: {}
+    };
 
-        resolve(result);
-      });
-    });
+    // Extract audio stream info
+    const audioStream = probeData.streams?.find(s => s.codec_type === 'audio');
+
+    // Lower-cased so rules can name tags regardless of container. Ogg and FLAC
+    // keep their comments on the stream rather than the format.
+    for (const [key, value] of Object.entries({ ...tags, ...audioStream?.tags })) {
+      metadata.tags[key.toLowerCase()] = String(value);
+    }
+
+    if (audioStream) {
+      metadata.sampleRate = audioStream.sample_rate ? parseInt(audioStream.sample_rate, 10) : null;
+      metadata.channels = audioStream.channels || null;
+      metadata.codec = audioStream.codec_name || null;
+    }
+
+    return {
+      valid: duration !== null && Boolean(audioStream),
+      error: duration === null ? 'No duration found in metadata' : audioStream ? null : 'No audio stream found',
+      duration,
+      metadata,
+      streamingInfo: this.buildStreamingInfo(filePath, metadata)
+    };
   }
 
-  async getFileModTime(filePath) {
+  async getFileStats(filePath) {
     try {
-      const stats = await fs.stat(filePath);
-      return stats.mtime.getTime();
+      return await fs.stat(filePath);
     } catch {
-      return Date.now();
+      return null;
     }
   }
 
@@ -138,7 +245,9 @@ export class AudioAnalyzer {
       duration: null,
       bitrate: null,
       sampleRate: null,
-      channels: null
+      channels: null,
+      codec: null,
+      tags: {}
     };
   }
 
@@ -154,30 +263,25 @@ export class AudioAnalyzer {
 
   // Validate audio file can be processed by ffmpeg
   async validateAudioFile(filePath) {
-    try {
-      await this.probeDuration(filePath);
-      return true;
-    } catch {
-      return false;
-    }
+    const { valid } = await this.analyzeFile(filePath);
+    return valid;
   }
 
   // Get audio file technical info for streaming optimization
   async getStreamingInfo(filePath) {
-    try {
-      const metadata = await this.analyzeMetadata(filePath);
-      return {
-        needsReencoding: this.needsReencoding(filePath, metadata),
-        recommendedBitrate: this.getRecommendedBitrate(metadata),
-        hasCompatibleFormat: this.hasCompatibleFormat(filePath)
-      };
-    } catch {
-      return {
-        needsReencoding: true,
-        recommendedBitrate: 128,
-        hasCompatibleFormat: false
-      };
-    }
+    const { streamingInfo } = await this.analyzeFile(filePath);
+    return streamingInfo;
+  }
+
+  buildStreamingInfo(filePath, metadata) {
+    return {
+      needsReencoding: this.needsReencoding(filePath, metadata),
+      recommendedBitrate: this.getRecommendedBitrate(metadata),
+      hasCompatibleFormat: this.hasCompatibleFormat(filePath),
+      sampleRate: metadata.sampleRate,
+      channels: metadata.channels,
+      codec: metadata.codec
+    };
   }
 
   needsReencoding(filePath, metadata) {
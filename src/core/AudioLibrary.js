@@ -1,23 +1,56 @@
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { watch } from 'fs';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { AudioAnalyzer } from './AudioAnalyzer.js';
+import { CategoryRules } from './CategoryRules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class AudioLibrary {
-  constructor() {
-    this.audioPath = path.join(__dirname, '../../audio');
+// Runs `task` over `items` with at most `limit` in flight
+async function mapWithConcurrency(items, limit, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await task(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+export class AudioLibrary extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.audioPath = options.audioPath || path.join(__dirname, '../../audio');
     this.supportedFormats = ['.mp3', '.wav', '.ogg', '.flac', '.mp2', '.wax', '.wma'];
-    this.analyzer = new AudioAnalyzer();
+    this.analyzer = new AudioAnalyzer({ cacheFile: options.cacheFile });
+    this.scanConcurrency = options.scanConcurrency || Math.max(2, os.cpus().length);
+    this.rulesFile = options.rulesFile || path.join(__dirname, '../../config/categories.json');
+    this.categoryRules = new CategoryRules(this.rulesFile);
+
+    // Filesystem watching
+    this.watchers = new Map(); // directory -> fs.FSWatcher
+    this.pendingChanges = new Set();
+    this.changeTimer = null;
+    this.watchDebounce = options.watchDebounce || 2000; // ms of quiet before applying changes
+    this.updateQueue = Promise.resolve(); // scans and incremental updates never overlap
     
     // Audio categories
-    this.library = {
+    this.library = this.createEmptyLibrary();
+    this.rejected = new Map(); // path -> { path, reason, checkedAt }
+  }
+
+  createEmptyLibrary() {
+    return {
       music: [],
       dj: {
         timeOfDay: { MORNING: [], AFTERNOON: [], EVENING: [], NIGHT: [] },
-        weather: { SUN: [], WIND: [], RAIN: [], FOG: [], CLOUDY: [] },
+        weather: { SUN: [], WIND: [], RAIN: [], FOG: [], CLOUDY: [], SNOW: [], STORM: [], HEAT: [] },
         transitions: { TO_AD: [], TO_WEATHER: [], TO_MUSIC: [] },
         intros: [],
         outros: [],
@@ -29,18 +62,235 @@ export class AudioLibrary {
     };
   }
 
-  async scanLibrary() {
-    console.log('📁 Scanning audio library...');
-    
+  // Full scan into a fresh library that replaces the current one when done,
+  // so playout keeps working from the old one meanwhile. A failed scan keeps
+  // the old library and says why in `change.error`.
+  scanLibrary() {
+    return this.enqueueUpdate(async () => {
+      console.log('📁 Scanning audio library...');
+      const change = { added: [], updated: [], removed: [] };
+      
+      try {
+        await this.ensureDirectoryExists(this.audioPath);
+        await this.analyzer.loadCache();
+        await this.categoryRules.load();
+
+        const previous = new Map(this.getAllItems().map(item => [item.path, item]));
+        const library = this.createEmptyLibrary();
+        const rejected = new Map();
+        const files = await this.scanDirectory(this.audioPath);
+
+        await mapWithConcurrency(files, this.scanConcurrency, async (file) => {
+          try {
+            await this.categorizeAudioFile(file.path, file.name, library, rejected);
+          } catch (error) {
+            console.warn(`⚠️  Failed to add ${file.name}:`, error.message);
+            this.reject(rejected, file.path, error.message);
+          }
+        });
+
+        this.library = library;
+        this.rejected = rejected;
+        const current = new Map(this.getAllItems().map(item => [item.path, item]));
+        change.added = [...current.keys()].filter(filePath => !previous.has(filePath));
+        change.updated = [...current.values()]
+          .filter(item => previous.has(item.path) && this.hasChanged(previous.get(item.path), item))
+          .map(item => item.path);
+        change.removed = [...previous.keys()].filter(filePath => !current.has(filePath));
+
+        this.analyzer.cache.prune(files.map(file => file.path));
+        await this.analyzer.saveCache();
+        console.log(`✅ Scanned ${this.getTotalFiles()} audio files`);
+        this.emit('change', change);
+      } catch (error) {
+        console.error('Failed to scan audio library:', error);
+        change.error = error.message;
+      }
+
+      return change;
+    });
+  }
+
+  // Rewritten on disk or filed elsewhere by the rules
+  hasChanged(before, after) {
+    return before.fileVersion !== after.fileVersion ||
+      before.category !== after.category ||
+      before.subcategory !== after.subcategory;
+  }
+
+  enqueueUpdate(task) {
+    const run = this.updateQueue.then(task);
+    this.updateQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Watch every directory below the audio root (recursive fs.watch is not portable)
+  async startWatching() {
+    await this.watchTree(this.audioPath);
+    console.log(`👀 Watching ${this.watchers.size} library directories for changes`);
+  }
+
+  stopWatching() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    if (this.changeTimer) {
+      clearTimeout(this.changeTimer);
+      this.changeTimer = null;
+    }
+  }
+
+  async watchTree(dirPath) {
+    this.watchDirectory(dirPath);
+
+    const items = await fs.readdir(dirPath, { withFileTypes: true });
+    for (const item of items) {
+      if (item.isDirectory()) {
+        await this.watchTree(path.join(dirPath, item.name));
+      }
+    }
+  }
+
+  watchDirectory(dirPath) {
+    if (this.watchers.has(dirPath)) return;
+
     try {
-      await this.ensureDirectoryExists(this.audioPath);
-      await this.scanDirectory(this.audioPath);
-      console.log(`✅ Scanned ${this.getTotalFiles()} audio files`);
+      const watcher = watch(dirPath, (eventType, filename) => {
+        this.queueChange(filename ? path.join(dirPath, filename.toString()) : dirPath);
+      });
+      watcher.on('error', () => this.unwatchDirectory(dirPath));
+      this.watchers.set(dirPath, watcher);
     } catch (error) {
-      console.error('Failed to scan audio library:', error);
+      console.warn(`⚠️  Cannot watch ${dirPath}:`, error.message);
     }
   }
 
+  unwatchDirectory(dirPath) {
+    for (const [watchedPath, watcher] of this.watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        this.watchers.delete(watchedPath);
+      }
+    }
+  }
+
+  // Debounced so a bulk copy settles into a single update
+  queueChange(filePath) {
+    this.pendingChanges.add(filePath);
+
+    if (this.changeTimer) {
+      clearTimeout(this.changeTimer);
+    }
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      const paths = [...this.pendingChanges];
+      this.pendingChanges.clear();
+      this.enqueueUpdate(() => this.applyChanges(paths));
+    }, this.watchDebounce);
+  }
+
+  async applyChanges(paths) {
+    const change = { added: [], updated: [], removed: [] };
+
+    for (const changedPath of paths) {
+      try {
+        await this.applyChange(changedPath, change);
+      } catch (error) {
+        console.warn(`⚠️  Failed to update ${changedPath}:`, error.message);
+      }
+    }
+
+    if (change.added.length + change.updated.length + change.removed.length > 0) {
+      console.log(`📁 Library updated: +${change.added.length} ~${change.updated.length} -${change.removed.length}`);
+      await this.analyzer.saveCache();
+      this.emit('change', change);
+    }
+  }
+
+  async applyChange(changedPath, change) {
+    const stats = await this.analyzer.getFileStats(changedPath);
+
+    // Deleted file or directory
+    if (!stats) {
+      const removed = this.removeItems(item =>
+        item.path === changedPath || item.path.startsWith(changedPath + path.sep));
+      removed.forEach(item => this.analyzer.forget(item.path));
+      change.removed.push(...removed.map(item => item.path));
+      for (const rejectedPath of this.rejected.keys()) {
+        if (rejectedPath === changedPath || rejectedPath.startsWith(changedPath + path.sep)) {
+          this.rejected.delete(rejectedPath);
+        }
+      }
+      this.unwatchDirectory(changedPath);
+      return;
+    }
+
+    // New directory: watch it and pick up whatever was copied in with it
+    if (stats.isDirectory()) {
+      await this.watchTree(changedPath);
+      const files = await this.scanDirectory(changedPath);
+      for (const file of files) {
+        await this.applyChange(file.path, change);
+      }
+      return;
+    }
+
+    // Edited cue points: reload the track they belong to
+    if (changedPath.endsWith('.cues.json')) {
+      const trackBase = changedPath.slice(0, -'.cues.json'.length);
+      const tracks = this.getAllItems().filter(item =>
+        item.path.slice(0, -path.extname(item.path).length) === trackBase);
+      for (const track of tracks) {
+        await this.applyChange(track.path, change);
+      }
+      return;
+    }
+
+    if (!this.isSupportedFormat(changedPath)) return;
+
+    // Same rules as a full scan, the old entry goes whatever its category was
+    const existed = this.removeItems(item => item.path === changedPath).length > 0;
+    this.rejected.delete(changedPath);
+    const item = await this.categorizeAudioFile(changedPath, path.basename(changedPath));
+
+    if (item) {
+      (existed ? change.updated : change.added).push(changedPath);
+    } else if (existed) {
+      change.removed.push(changedPath);
+    }
+  }
+
+  // Removes matching items from every category, returns what was removed
+  removeItems(predicate) {
+    const removed = [];
+
+    for (const bucket of this.getBuckets()) {
+      for (let i = bucket.length - 1; i >= 0; i--) {
+        if (predicate(bucket[i])) {
+          removed.push(...bucket.splice(i, 1));
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  // Every category array of the library
+  getBuckets(library = this.library) {
+    const { dj } = library;
+    return [
+      library.music,
+      ...Object.values(dj.timeOfDay),
+      ...Object.values(dj.weather),
+      ...Object.values(dj.transitions),
+      dj.intros,
+      dj.outros,
+      dj.solos,
+      dj.ids,
+      library.jingles,
+      library.ads
+    ];
+  }
+
   async ensureDirectoryExists(dirPath) {
     try {
       await fs.access(dirPath);
@@ -50,18 +300,21 @@ export class AudioLibrary {
     }
   }
 
-  async scanDirectory(dirPath) {
+  // Collects every supported file below dirPath
+  async scanDirectory(dirPath, files = []) {
     const items = await fs.readdir(dirPath, { withFileTypes: true });
     
     for (const item of items) {
       const fullPath = path.join(dirPath, item.name);
       
       if (item.isDirectory()) {
-        await this.scanDirectory(fullPath);
+        await this.scanDirectory(fullPath, files);
       } else if (this.isSupportedFormat(item.name)) {
-        await this.categorizeAudioFile(fullPath, item.name);
+        files.push({ path: fullPath, name: item.name });
       }
     }
+
+    return files;
   }
 
   isSupportedFormat(filename) {
@@ -69,85 +322,141 @@ export class AudioLibrary {
     return this.supportedFormats.includes(ext);
   }
 
-  async categorizeAudioFile(filePath, filename) {
+  async categorizeAudioFile(filePath, filename, library = this.library, rejected = this.rejected) {
     const baseName = path.basename(filename, path.extname(filename));
-    const upperName = baseName.toUpperCase();
     
     // Validate file can be processed
-    const isValid = await this.analyzer.validateAudioFile(filePath);
-    if (!isValid) {
+    const analysis = await this.analyzer.analyzeFile(filePath);
+    if (!analysis.valid) {
       console.warn(`⚠️  Skipping invalid audio file: ${filename}`);
-      return;
+      this.reject(rejected, filePath, analysis.error || 'Not a playable audio file');
+      return null;
     }
-    
-    // Categorize based on filename patterns
-    if (this.isDJTimeAnnouncement(upperName)) {
-      await this.categorizeDJTime(filePath, upperName, baseName);
-    } else if (this.isDJWeather(upperName)) {
-      await this.categorizeDJWeather(filePath, upperName, baseName);
-    } else if (this.isDJTransition(upperName)) {
-      await this.categorizeDJTransition(filePath, upperName, baseName);
-    } else if (upperName.startsWith('INTRO_')) {
-      this.library.dj.intros.push(await this.createAudioItem(filePath, baseName, 'dj-intro'));
-    } else if (upperName.startsWith('OUTRO_')) {
-      this.library.dj.outros.push(await this.createAudioItem(filePath, baseName, 'dj-outro'));
-    } else if (upperName.startsWith('SOLO_')) {
-      this.library.dj.solos.push(await this.createAudioItem(filePath, baseName, 'dj-solo'));
-    } else if (upperName.startsWith('ID_')) {
-      this.library.dj.ids.push(await this.createAudioItem(filePath, baseName, 'dj-id'));
-    } else if (upperName.includes('JINGLE') || upperName.startsWith('JING_')) {
-      this.library.jingles.push(await this.createAudioItem(filePath, baseName, 'jingle'));
-    } else if (upperName.includes('AD_') || upperName.includes('COMMERCIAL')) {
-      this.library.ads.push(await this.createAudioItem(filePath, baseName, 'ad'));
-    } else {
-      // Assume it's music
-      this.library.music.push(await this.createMusicItem(filePath, baseName));
+
+    const { category } = await this.classifyFile(filePath, this.categoryRules, library);
+    const target = this.resolveCategory(category, library);
+    if (!target) {
+      console.warn(`⚠️  Unknown category "${category}" for ${filename}`);
+      this.reject(rejected, filePath, `Unknown category "${category}"`);
+      return null;
+    }
+
+    const item = target.path === 'music'
+      ? await this.createMusicItem(filePath, baseName)
+      : await this.createAudioItem(filePath, baseName, this.getItemType(target.path));
+    const stats = await this.analyzer.getFileStats(filePath);
+    item.id = this.getItemId(filePath);
+    item.fileVersion = stats ? `${stats.size}:${stats.mtimeMs}` : null;
+    item.category = target.path;
+    if (target.subcategory) {
+      item.subcategory = target.subcategory;
     }
+
+    target.bucket.push(item);
+    return item;
   }
 
-  isDJTimeAnnouncement(upperName) {
-    return ['MORNING_', 'AFTERNOON_', 'EVENING_', 'NIGHT_'].some(prefix => upperName.startsWith(prefix));
+  reject(rejected, filePath, reason) {
+    rejected.set(filePath, {
+      path: this.getRelativePath(filePath),
+      reason,
+      checkedAt: new Date().toISOString()
+    });
   }
 
-  isDJWeather(upperName) {
-    return ['SUN_', 'WIND_', 'RAIN_', 'FOG_', 'CLOUDY_'].some(prefix => upperName.startsWith(prefix));
+  // Stable across rescans and restarts as long as the file is not moved
+  getItemId(filePath) {
+    return createHash('sha1').update(this.getRelativePath(filePath)).digest('hex').slice(0, 12);
   }
 
-  isDJTransition(upperName) {
-    return ['TO_AD_', 'TO_WEATHER_', 'TO_MUSIC_'].some(prefix => upperName.startsWith(prefix));
+  getRelativePath(filePath) {
+    return path.relative(this.audioPath, filePath).split(path.sep).join('/');
   }
 
-  async categorizeDJTime(filePath, upperName, baseName) {
-    const timeOfDay = upperName.split('_')[0];
-    if (this.library.dj.timeOfDay[timeOfDay]) {
-      this.library.dj.timeOfDay[timeOfDay].push(
-        await this.createAudioItem(filePath, baseName, `dj-time-${timeOfDay.toLowerCase()}`)
-      );
-    }
+  // Runs the rules against a file's location, name and tags
+  async classifyFile(filePath, rules = this.categoryRules, library = this.library) {
+    const metadata = await this.analyzer.analyzeMetadata(filePath);
+    const directory = path.dirname(this.getRelativePath(filePath)).replace(/^\.$/, '');
+
+    return rules.classify({
+      directory,
+      baseName: path.basename(filePath, path.extname(filePath)),
+      tags: metadata.tags || {}
+    }, category => this.resolveCategory(category, library) !== null);
   }
 
-  async categorizeDJWeather(filePath, upperName, baseName) {
-    const weatherType = upperName.split('_')[0];
-    if (this.library.dj.weather[weatherType]) {
-      this.library.dj.weather[weatherType].push(
-        await this.createAudioItem(filePath, baseName, `dj-weather-${weatherType.toLowerCase()}`)
-      );
+  // "dj.weather.RAIN" or "music:gold" to the bucket it names, case-insensitive
+  resolveCategory(category, library = this.library) {
+    const [bucketPath, subcategory] = String(category).split(':');
+    const segments = [];
+    let node = library;
+
+    for (const segment of bucketPath.split('.')) {
+      if (!node || Array.isArray(node)) return null;
+      const key = Object.keys(node).find(name => name.toLowerCase() === segment.trim().toLowerCase());
+      if (!key) return null;
+      segments.push(key);
+      node = node[key];
     }
+
+    return Array.isArray(node)
+      ? { bucket: node, path: segments.join('.'), subcategory: subcategory?.trim() || null }
+      : null;
   }
 
-  async categorizeDJTransition(filePath, upperName, baseName) {
-    const transitionType = upperName.replace('TO_', '').split('_')[0];
-    const key = `TO_${transitionType}`;
-    if (this.library.dj.transitions[key]) {
-      this.library.dj.transitions[key].push(
-        await this.createAudioItem(filePath, baseName, `dj-transition-${transitionType.toLowerCase()}`)
-      );
+  getItemType(categoryPath) {
+    const [group, name, key] = categoryPath.split('.');
+    if (group !== 'dj') {
+      return { jingles: 'jingle', ads: 'ad' }[group] || group;
+    }
+
+    switch (name) {
+      case 'timeOfDay':
+        return `dj-time-${key.toLowerCase()}`;
+      case 'weather':
+        return `dj-weather-${key.toLowerCase()}`;
+      case 'transitions':
+        return `dj-transition-${key.replace('TO_', '').toLowerCase()}`;
+      default:
+        return `dj-${name.replace(/s$/, '')}`;
     }
   }
 
+  // Classifies every file with the rules currently on disk without touching
+  // the live library, to check a rules change before rescanning
+  async dryRunClassification() {
+    await this.ensureDirectoryExists(this.audioPath);
+    await this.analyzer.loadCache();
+
+    const rules = await new CategoryRules(this.rulesFile).load();
+    const files = await this.scanDirectory(this.audioPath);
+    const library = this.createEmptyLibrary();
+    const currentCategories = new Map(this.getAllItems().map(item => [item.path, item.category]));
+    const results = [];
+
+    await mapWithConcurrency(files, this.scanConcurrency, async (file) => {
+      const valid = await this.analyzer.validateAudioFile(file.path);
+      const { category, rule } = await this.classifyFile(file.path, rules, library);
+      const target = this.resolveCategory(category, library);
+
+      results.push({
+        path: this.getRelativePath(file.path),
+        category: target ? target.path : category,
+        subcategory: target?.subcategory || null,
+        rule,
+        valid,
+        current: currentCategories.get(file.path) || null
+      });
+    });
+
+    return results.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
   async createAudioItem(filePath, baseName, type) {
     const duration = await this.analyzer.analyzeDuration(filePath);
+    const metadata = await this.analyzer.analyzeMetadata(filePath);
     const streamingInfo = await this.analyzer.getStreamingInfo(filePath);
+    const loudness = await this.analyzer.analyzeLoudness(filePath);
     
     return {
       path: filePath,
@@ -155,7 +464,9 @@ export class AudioLibrary {
       type,
       duration,
       startTime: null,
-      streamingInfo
+      metadata,
+      streamingInfo,
+      loudness
     };
   }
 
@@ -163,6 +474,8 @@ export class AudioLibrary {
     const duration = await this.analyzer.analyzeDuration(filePath);
     const metadata = await this.analyzer.analyzeMetadata(filePath);
     const streamingInfo = await this.analyzer.getStreamingInfo(filePath);
+    const loudness = await this.analyzer.analyzeLoudness(filePath);
+    const cues = await this.loadCuePoints(filePath, duration);
     
     return {
       path: filePath,
@@ -173,10 +486,136 @@ export class AudioLibrary {
       duration,
       startTime: null,
       metadata,
-      streamingInfo
+      streamingInfo,
+      loudness,
+      cues
+    };
+  }
+
+  // Optional sidecar next to the track, e.g. "Song.cues.json":
+  // { "intro": 12.5, "vocalStart": 14.0, "outroFade": 201.3 } in seconds
+  async loadCuePoints(filePath, duration) {
+    const cueFile = path.join(
+      path.dirname(filePath),
+      `${path.basename(filePath, path.extname(filePath))}.cues.json`
+    );
+
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(cueFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Ignoring unreadable cue file ${cueFile}:`, error.message);
+      }
+      return null;
+    }
+
+    // Stored in milliseconds like durations, anything past the end is dropped
+    const cues = {};
+    for (const key of ['intro', 'vocalStart', 'outroFade']) {
+      const value = Number(raw[key]);
+      if (Number.isFinite(value) && value >= 0 && (!duration || value * 1000 < duration)) {
+        cues[key] = Math.round(value * 1000);
+      }
+    }
+
+    return Object.keys(cues).length > 0 ? cues : null;
+  }
+
+  // Public shape of an item for the REST API, without absolute paths
+  describeItem(item) {
+    return {
+      id: item.id,
+      path: this.getRelativePath(item.path),
+      title: item.title,
+      artist: item.artist || null,
+      album: item.album || null,
+      type: item.type,
+      category: item.category,
+      subcategory: item.subcategory || null,
+      duration: item.duration,
+      streamingInfo: item.streamingInfo,
+      metadata: item.metadata || null,
+      loudness: item.loudness || null,
+      cues: item.cues || null
+    };
+  }
+
+  findItem(id) {
+    return this.getAllItems().find(item => item.id === id) || null;
+  }
+
+  // Music with exact artist/album/category filters and a free text search
+  searchMusic({ artist, album, category, q, page = 1, limit = 50 } = {}) {
+    const matches = (value, wanted) => !wanted || (value || '').toLowerCase() === wanted.toLowerCase();
+    const query = q ? q.toLowerCase() : null;
+
+    const items = this.library.music
+      .filter(item => matches(item.artist, artist))
+      .filter(item => matches(item.album, album))
+      .filter(item => matches(item.subcategory, category))
+      .filter(item => !query || [item.title, item.artist, item.album, path.basename(item.path)]
+        .some(value => value && value.toLowerCase().includes(query)))
+      .sort((a, b) => (a.artist || '').localeCompare(b.artist || '') || a.title.localeCompare(b.title));
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const pages = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), pages);
+
+    return {
+      page: current,
+      limit: pageSize,
+      pages,
+      total: items.length,
+      items: items.slice((current - 1) * pageSize, current * pageSize).map(item => this.describeItem(item))
     };
   }
 
+  // Nested DJ buckets with their items and counts
+  getDJBuckets() {
+    const describe = bucket => ({ count: bucket.length, items: bucket.map(item => this.describeItem(item)) });
+    const describeGroup = group => Object.fromEntries(
+      Object.entries(group).map(([key, bucket]) => [key, describe(bucket)])
+    );
+    const { dj } = this.library;
+
+    return {
+      timeOfDay: describeGroup(dj.timeOfDay),
+      weather: describeGroup(dj.weather),
+      transitions: describeGroup(dj.transitions),
+      intros: describe(dj.intros),
+      outros: describe(dj.outros),
+      solos: describe(dj.solos),
+      ids: describe(dj.ids)
+    };
+  }
+
+  getSummary() {
+    const count = group => Object.fromEntries(Object.entries(group).map(([key, bucket]) => [key, bucket.length]));
+    const { dj } = this.library;
+
+    return {
+      total: this.getTotalFiles(),
+      music: this.library.music.length,
+      dj: {
+        timeOfDay: count(dj.timeOfDay),
+        weather: count(dj.weather),
+        transitions: count(dj.transitions),
+        intros: dj.intros.length,
+        outros: dj.outros.length,
+        solos: dj.solos.length,
+        ids: dj.ids.length
+      },
+      jingles: this.library.jingles.length,
+      ads: this.library.ads.length,
+      rejected: this.rejected.size
+    };
+  }
+
+  getRejected() {
+    return [...this.rejected.values()].sort((a, b) => a.path.localeCompare(b.path));
+  }
+
   // Remove the old estimation method - we now use ffprobe
   // estimateDuration() method removed - replaced with AudioAnalyzer
 
@@ -195,6 +634,11 @@ export class AudioLibrary {
     return total;
   }
 
+  // Every item in the library, whatever its category
+  getAllItems() {
+    return this.getBuckets().flat();
+  }
+
   // Getter methods for playlist generation
   getRandomMusic() {
     return this.getRandomFrom(this.library.music);
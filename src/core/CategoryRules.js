@@ -0,0 +1,125 @@
+import { readJsonConfig } from './jsonFiles.js';
+
+// Tags are the most explicit statement about a file, then where it lives,
+// then how it is named. Within a kind, rules apply in file order.
+const PRECEDENCE = { tag: 0, directory: 1, filename: 2 };
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Supports `**` (any depth), `*` (one path segment) and `?`
+export function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const trailing = i + 2 === glob.length;
+      const followedBySlash = glob[i + 2] === '/';
+      pattern += trailing ? '.*' : followedBySlash ? '(?:.*/)?' : '.*';
+      i += followedBySlash ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += escapeRegExp(char);
+    }
+  }
+
+  // "jingles/**" also matches the "jingles" directory itself
+  pattern = pattern.replace(/\/\.\*$/, '(?:/.*)?');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+export class CategoryRules {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.defaultCategory = 'music';
+    this.rules = [];
+  }
+
+  async load() {
+    // Without rules everything is music
+    this.setRules(await readJsonConfig(this.filePath, {}, 'category rules'));
+    return this;
+  }
+
+  setRules(config) {
+    this.defaultCategory = config.default || 'music';
+    this.rules = (config.rules || [])
+      .map((rule, index) => this.compileRule(rule, index))
+      .filter(Boolean)
+      .sort((a, b) => PRECEDENCE[a.kind] - PRECEDENCE[b.kind] || a.index - b.index);
+  }
+
+  compileRule(rule, index) {
+    if (!rule.category) {
+      console.warn(`⚠️  Category rule #${index + 1} has no category, ignoring it`);
+      return null;
+    }
+
+    try {
+      if (rule.tag) {
+        // "TXXX:radio_category" is exposed by ffprobe as the tag "radio_category"
+        const tagName = rule.tag.replace(/^TXXX:/i, '').toLowerCase();
+        return {
+          kind: 'tag',
+          index,
+          tagName,
+          regex: new RegExp(rule.match || '.+', 'i'),
+          category: rule.category,
+          description: `tag ${rule.tag} ~ /${rule.match || '.+'}/`
+        };
+      }
+
+      if (rule.directory) {
+        return {
+          kind: 'directory',
+          index,
+          regex: globToRegExp(rule.directory),
+          category: rule.category,
+          description: `directory ${rule.directory}`
+        };
+      }
+
+      if (rule.filename) {
+        return {
+          kind: 'filename',
+          index,
+          regex: new RegExp(rule.filename, 'i'),
+          category: rule.category,
+          description: `filename /${rule.filename}/`
+        };
+      }
+    } catch (error) {
+      console.warn(`⚠️  Category rule #${index + 1} is invalid, ignoring it:`, error.message);
+      return null;
+    }
+
+    console.warn(`⚠️  Category rule #${index + 1} needs a tag, directory or filename`);
+    return null;
+  }
+
+  // file: { directory (relative, "/"-separated), baseName (no extension), tags }
+  classify(file, isKnownCategory = () => true) {
+    for (const rule of this.rules) {
+      const value = rule.kind === 'tag' ? file.tags?.[rule.tagName]
+        : rule.kind === 'directory' ? file.directory
+          : file.baseName;
+      if (value === undefined || value === null) continue;
+
+      const match = rule.regex.exec(String(value));
+      if (!match) continue;
+
+      const category = rule.category.replace(/\$(\d)/g, (_, group) => match[group] || '');
+
+      // A tag naming an unknown category should not hide the other rules
+      if (!isKnownCategory(category)) continue;
+
+      return { category, rule: rule.description };
+    }
+
+    return { category: this.defaultCategory, rule: 'default' };
+  }
+}
@@ -0,0 +1,138 @@
+import { readJsonConfig } from './jsonFiles.js';
+
+const SLOT_TYPES = [
+  'music', 'music-with-intro', 'music-with-outro',
+  'station-id', 'jingle', 'dj-solo',
+  'time', 'weather', 'ad-break'
+];
+
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Without usable clocks every hour is music, the shipped clocks file has the
+// full format
+const DEFAULT_CLOCKS = {
+  templates: { music: [{ type: 'music' }] },
+  schedule: [{ template: 'music' }]
+};
+
+// "20:00" (mm:ss) or a number of minutes into the hour, in ms
+function parseOffset(value) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'number') {
+    return Math.round(value * 60000);
+  }
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`invalid time "${value}", expected mm:ss`);
+  }
+
+  return (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 1000;
+}
+
+// [6, 12] or ["6-9", 22], ranges inclusive
+export function parseHours(hours) {
+  if (!hours) return null;
+
+  const set = new Set();
+  for (const entry of [].concat(hours)) {
+    const [start, end = start] = String(entry).split('-').map(value => parseInt(value, 10));
+    for (let hour = start; hour <= end; hour++) {
+      set.add(hour);
+    }
+  }
+  return set;
+}
+
+// Hour templates ("clocks") and which one runs on which weekday and hour
+export class ClockSchedule {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.templates = new Map();
+    this.schedule = [];
+  }
+
+  async load() {
+    this.setClocks(await readJsonConfig(this.filePath, DEFAULT_CLOCKS, 'clocks'));
+    console.log(`🕐 Loaded ${this.templates.size} clock templates`);
+    return this;
+  }
+
+  setClocks(config) {
+    this.templates = new Map();
+    for (const [name, slots] of Object.entries(config.templates || {})) {
+      this.templates.set(name, this.compileTemplate(name, slots));
+    }
+
+    this.schedule = (config.schedule || [])
+      .filter(entry => {
+        if (this.templates.has(entry.template)) return true;
+        console.warn(`⚠️  Clock schedule refers to unknown template "${entry.template}"`);
+        return false;
+      })
+      .map(entry => ({
+        template: entry.template,
+        days: entry.days ? new Set(entry.days.map(day => day.slice(0, 3).toLowerCase())) : null,
+        hours: parseHours(entry.hours)
+      }));
+
+    if (this.templates.size === 0) {
+      console.warn('⚠️  No clock templates configured, using defaults');
+      this.setClocks(DEFAULT_CLOCKS);
+    }
+  }
+
+  compileTemplate(name, slots) {
+    let lastOffset = -1;
+
+    return slots
+      .map((slot, index) => {
+        if (!SLOT_TYPES.includes(slot.type)) {
+          console.warn(`⚠️  Clock "${name}" slot #${index + 1} has unknown type "${slot.type}", ignoring it`);
+          return null;
+        }
+
+        let at;
+        try {
+          at = parseOffset(slot.at);
+        } catch (error) {
+          console.warn(`⚠️  Clock "${name}" slot #${index + 1}: ${error.message}, ignoring its time`);
+          at = null;
+        }
+
+        // Timed slots must follow each other through the hour
+        if (at !== null && (at <= lastOffset || at >= 3600000)) {
+          console.warn(`⚠️  Clock "${name}" slot #${index + 1} at ${slot.at} is out of order, ignoring its time`);
+          at = null;
+        }
+        if (at !== null) lastOffset = at;
+
+        // Hard slots start on time, cutting whatever plays before them
+        if (slot.hard && at === null) {
+          console.warn(`⚠️  Clock "${name}" slot #${index + 1} is hard but has no time, treating it as soft`);
+        }
+
+        return {
+          type: slot.type,
+          count: Math.max(1, parseInt(slot.count || 1, 10)),
+          at,
+          hard: Boolean(slot.hard) && at !== null
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // The template for the hour starting at `hourStart`, first match wins
+  getClock(hourStart) {
+    const date = new Date(hourStart);
+    const day = DAYS[date.getDay()];
+    const hour = date.getHours();
+
+    const entry = this.schedule.find(candidate =>
+      (!candidate.days || candidate.days.has(day)) && (!candidate.hours || candidate.hours.has(hour)));
+    const name = entry ? entry.template : this.templates.keys().next().value;
+
+    return { name, slots: this.templates.get(name) };
+  }
+}
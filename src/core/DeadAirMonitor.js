@@ -0,0 +1,186 @@
+import { appendJsonLine } from './jsonFiles.js';
+import { peakLevel } from './ProgramFeed.js';
+
+// Listens to what actually goes out. Silence (or a decoder that stopped
+// delivering) for too long skips to the next item; when skipping does not
+// help, or item after item fails to decode, the emergency loop goes on air
+// until automation is tried again. Every event is logged with its cause.
+export class DeadAirMonitor {
+  constructor(streamManager, scheduler, options = {}) {
+    this.streamManager = streamManager;
+    this.scheduler = scheduler;
+    this.timeout = options.timeout || 10000; // ms of silence that count as dead air
+    this.threshold = Math.round(32767 * Math.pow(10, (options.silenceLevel ?? -50) / 20));
+    this.emergencyAudio = options.emergencyAudio || null;
+    this.emergencyDuration = options.emergencyDuration || 5 * 60 * 1000; // before automation gets another go
+    this.maxSkips = options.maxSkips || 3; // dead air that skipping did not cure
+    this.maxFailures = options.maxFailures || 5; // items failing back to back
+    this.logFile = options.logFile || null;
+
+    this.events = [];
+    this.maxEvents = 100;
+    this.timer = null;
+    this.lastAudibleAt = Date.now();
+    this.silentSince = null; // set while dead air is being handled
+    this.lastFailure = null;
+    this.failures = 0;
+    this.skips = 0;
+    this.emergencyBrokenUntil = 0;
+    this.lastFrameAt = new Map(); // output -> when its encoder last produced audio
+  }
+
+  start() {
+    this.lastAudibleAt = Date.now();
+    this.streamManager.programFeed.on('data', (pcm) => this.checkLevel(pcm));
+    this.streamManager.on('sourcefailed', (failure) => this.handleFailure(failure));
+    this.streamManager.outputs.forEach(output => output.on('frame', () => {
+      this.lastFrameAt.set(output, Date.now());
+    }));
+    this.timer = setInterval(() => this.checkOutputs(), 1000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  checkLevel(pcm) {
+    const now = Date.now();
+
+    // Live shows watch their own silence
+    if (this.streamManager.live || peakLevel(pcm) >= this.threshold) {
+      if (this.silentSince) {
+        console.log(`🔊 Audio back after ${((now - this.silentSince) / 1000).toFixed(1)}s of dead air`);
+        this.silentSince = null;
+      }
+      this.lastAudibleAt = now;
+      this.lastFailure = null;
+      this.failures = 0;
+      this.skips = 0;
+      return;
+    }
+
+    if (now - this.lastAudibleAt >= this.timeout) {
+      this.handleDeadAir(now);
+    }
+  }
+
+  handleDeadAir(now) {
+    const track = this.streamManager.currentTrack;
+    const cause = this.getCause(track);
+    const silence = now - (this.silentSince || this.lastAudibleAt);
+    this.silentSince = this.silentSince || this.lastAudibleAt;
+
+    let action = 'skip';
+    if (this.skips >= this.maxSkips && this.playEmergency()) {
+      action = 'emergency loop';
+    } else {
+      this.scheduler.skip();
+    }
+    this.skips++;
+
+    this.record({ cause, action, silence, track, message: this.lastFailure?.message });
+    this.lastFailure = null;
+    this.lastAudibleAt = now; // the recovery gets a full timeout before it is judged
+  }
+
+  // Why nothing is audible: a decoder failure since the audio stopped, or
+  // what the current item looks like right now
+  getCause(track) {
+    if (this.lastFailure) return this.lastFailure.cause;
+    if (!track?.path) return 'nothing to play';
+
+    const source = this.streamManager.currentSource;
+    if (source && !source.exited && source.buffered === 0) return 'decoder stalled';
+    return 'silence';
+  }
+
+  handleFailure(failure) {
+    this.lastFailure = failure;
+
+    if (failure.track?.type === 'emergency') {
+      // Do not keep retrying a loop that cannot play
+      this.emergencyBrokenUntil = Date.now() + this.emergencyDuration;
+      this.record({ cause: failure.cause, action: 'none, emergency loop failed', track: failure.track, message: failure.message });
+      return;
+    }
+
+    // Failures skip straight to the next item; many in a row mean the
+    // library itself is unusable
+    if (++this.failures >= this.maxFailures) {
+      this.failures = 0;
+      if (this.playEmergency()) {
+        this.record({
+          cause: failure.cause,
+          action: 'emergency loop',
+          track: failure.track,
+          message: `${this.maxFailures} items failed in a row: ${failure.message || failure.cause}`
+        });
+      }
+    }
+  }
+
+  playEmergency() {
+    if (!this.emergencyAudio || Date.now() < this.emergencyBrokenUntil) return false;
+    if (this.streamManager.currentTrack?.type === 'emergency') return false;
+
+    console.warn(`🚨 Playing the emergency loop for ${Math.round(this.emergencyDuration / 1000)}s`);
+    this.scheduler.playEmergency({
+      id: 'emergency',
+      path: this.emergencyAudio,
+      title: this.streamManager.stationInfo.name,
+      type: 'emergency',
+      loop: true,
+      duration: this.emergencyDuration,
+      startTime: Date.now()
+    });
+    return true;
+  }
+
+  // The program can be fine while an encoder has died: restart that one
+  checkOutputs() {
+    const now = Date.now();
+    this.lastFrameAt.forEach((at, output) => {
+      if (now - at < this.timeout) return;
+
+      this.lastFrameAt.delete(output); // tracked again once it produces audio
+      this.record({ cause: 'encoder stalled', action: `restart /${output.mount}`, silence: now - at });
+      try {
+        this.streamManager.updateStreamConfig({ mount: output.mount });
+      } catch (error) {
+        console.error(`Failed to restart /${output.mount}:`, error.message);
+      }
+    });
+  }
+
+  record({ cause, action, silence = 0, track = null, message = null }) {
+    const entry = {
+      time: new Date().toISOString(),
+      cause,
+      action,
+      silence: Math.round(silence / 1000),
+      title: track?.title || null,
+      path: track?.path || null,
+      message: message || null
+    };
+
+    this.events.push(entry);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+    console.warn(`🔇 Dead air (${cause})${entry.title ? ` on "${entry.title}"` : ''}: ${action}`);
+
+    if (!this.logFile) return;
+    appendJsonLine(this.logFile, entry)
+      .catch(error => console.warn('Failed to write dead-air log:', error.message));
+  }
+
+  getStatus() {
+    return {
+      timeout: this.timeout,
+      emergencyLoop: Boolean(this.emergencyAudio),
+      silentFor: this.silentSince ? Date.now() - this.silentSince : 0,
+      events: this.events.slice().reverse()
+    };
+  }
+}
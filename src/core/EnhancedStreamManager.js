@@ -1,81 +1,182 @@
-import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { HLSSegmenter } from './HLSSegmenter.js';
+import { IcecastSource } from './IcecastSource.js';
+import { PcmSource } from './PcmSource.js';
+import { ProgramFeed, peakLevel } from './ProgramFeed.js';
+import { StreamOutput } from './StreamOutput.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class EnhancedStreamManager {
+// Mounts served when a station does not list its own. The first MP3 mount
+// also feeds HLS.
+const DEFAULT_OUTPUTS = [
+  { mount: 'stream', format: 'mp3', bitrate: '128k' },
+  { mount: 'stream-64.mp3', format: 'mp3', bitrate: '64k' },
+  { mount: 'stream.aac', format: 'aac', bitrate: '96k' },
+  { mount: 'stream.opus', format: 'opus', bitrate: '96k' }
+];
+
+export class EnhancedStreamManager extends EventEmitter {
   constructor(options = {}) {
-    this.clients = new Set();
-    this.currentStream = null;
-    this.ffmpegProcess = null;
+    super();
+    this.currentSource = null;
     this.currentTrack = null;
+    this.fallbackTimer = null;
+    this.errorHoldTime = options.errorHoldTime || 2000; // silence after a failed item before moving on
     this.icyMetadataInterval = 8192; // Standard ICY metadata interval
+
+    // Station info advertised to ICY clients and Icecast
+    this.stationInfo = {
+      name: options.stationName || 'Custom Radio Station',
+      genre: options.genre || 'Various',
+      description: options.description || null,
+      url: options.url || null
+    };
     
-    // Stream configuration
+    // Program PCM format, every output encodes from it
     this.streamConfig = {
-      format: options.format || 'mp3', // or 'hls'
-      bitrate: options.bitrate || '128k',
       sampleRate: options.sampleRate || '44100',
       channels: options.channels || '2'
     };
 
-    // HLS specific
-    this.hlsEnabled = options.enableHLS || false;
-    this.hlsPath = path.join(__dirname, '../../public/hls');
-    this.hlsPlaylistFile = path.join(this.hlsPath, 'stream.m3u8');
+    // Broadcast: an encoder and ring buffer per output, a cursor per listener
+    this.burstSeconds = options.burstSeconds || 2; // sent on connect so playback starts fast
+    this.maxLagSeconds = options.maxLagSeconds || 20; // listeners further behind are dropped
+    // Loudness normalization: every item is gained towards the same target
+    this.normalization = {
+      enabled: options.normalize ?? true,
+      target: options.targetLoudness ?? -16, // LUFS
+      maxGain: options.maxGain ?? 12, // dB of boost allowed for quiet clips
+      limiter: options.limiter ?? false,
+      ceiling: options.limiterCeiling ?? -1 // dBTP
+    };
+
+    this.programFeed = new ProgramFeed({
+      ...this.streamConfig,
+      duckLevel: options.duckLevel, // dB applied to music under talk-over
+      duckRamp: options.duckRamp
+    });
+    this.outputs = new Map(); // mount -> StreamOutput
+    for (const config of options.outputs || DEFAULT_OUTPUTS) {
+      try {
+        this.outputs.set(config.mount, new StreamOutput(config, {
+          stationInfo: this.stationInfo,
+          icyMetadataInterval: this.icyMetadataInterval,
+          burstSeconds: this.burstSeconds,
+          maxLagSeconds: this.maxLagSeconds,
+          encoder: {
+            ...this.streamConfig,
+            limiter: this.normalization.limiter,
+            limiterCeiling: this.normalization.ceiling
+          }
+        }));
+      } catch (error) {
+        console.warn(`⚠️  Output /${config.mount} ignored: ${error.message}`);
+      }
+    }
+
+    // Optional relays of an output to Icecast servers
+    this.relays = (options.icecast || []).flatMap(config => {
+      const output = this.getOutput(config.output || 'stream');
+      if (!output) {
+        console.warn(`⚠️  Icecast relay to ${config.host}${config.mount ? `/${config.mount}` : ''} ignored: no output "${config.output || 'stream'}"`);
+        return [];
+      }
+      return [new IcecastSource(output, { ...config, stationInfo: this.stationInfo })];
+    });
+
+    // Transitions
+    this.crossfadeDuration = options.crossfadeDuration ?? 4000; // ms between music items, 0 for hard cuts
+    this.voiceOverPreroll = 1000; // start talk-over decoders early so they hit their cue
+
+    // Live input: automation fades out under the DJ and comes back on its own
+    this.live = null; // { source, input, track, lastAudibleAt }
+    this.liveFadeDuration = options.liveFadeDuration ?? 2000;
+    this.liveSilenceTimeout = options.liveSilenceTimeout ?? 15000; // ms of dead air before giving up on the DJ
+    this.liveSilenceThreshold = Math.round(32767 * Math.pow(10, (options.liveSilenceLevel ?? -50) / 20));
 
     // Concat file for gapless playback
-    this.concatPath = path.join(__dirname, '../../temp');
+    this.concatPath = options.tempPath || path.join(__dirname, '../../temp');
     this.currentConcatFile = null;
+
+    // HLS specific
+    this.hlsEnabled = options.enableHLS || false;
+    this.hlsPath = options.hlsPath || path.join(this.concatPath, 'hls');
+    this.hlsSegmenter = this.hlsEnabled ? new HLSSegmenter({
+      outputPath: this.hlsPath,
+      targetDuration: options.hlsSegmentDuration,
+      windowSize: options.hlsWindowSize
+    }) : null;
   }
 
   async initialize() {
     // Create necessary directories
     await fs.mkdir(this.concatPath, { recursive: true });
     
-    if (this.hlsEnabled) {
-      await fs.mkdir(this.hlsPath, { recursive: true });
+    if (this.hlsSegmenter) {
+      await this.hlsSegmenter.initialize();
     }
-  }
 
-  addClient(response) {
-    // Set ICY headers for metadata support
-    response.writeHead(200, {
-      'Content-Type': 'audio/mpeg',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'icy-name': 'Custom Radio Station',
-      'icy-genre': 'Various',
-      'icy-br': this.streamConfig.bitrate.replace('k', ''),
-      'icy-metaint': this.icyMetadataInterval.toString()
+    this.programFeed.on('data', (pcm) => {
+      this.outputs.forEach(output => output.write(pcm));
+      if (this.live) this.checkLiveLevel(pcm);
+      this.updateSequencePosition();
+      this.updatePlaybackCues();
+    });
+    this.outputs.forEach(output => {
+      output.on('frame', (frame) => {
+        if (output === this.getHlsOutput()) this.hlsSegmenter?.write(frame);
+      });
+      // Track changes go through the same encoder, only a new one breaks
+      // the timestamps
+      output.on('encoderstart', () => {
+        if (output === this.getHlsOutput()) this.hlsSegmenter?.markDiscontinuity();
+      });
+    });
+
+    // The decoder ran dry: the item has really finished playing
+    this.programFeed.on('sourceended', (source) => {
+      if (source !== this.currentSource) return;
+      this.currentSource = null;
+      this.emit('ended', this.currentTrack);
     });
 
-    this.clients.add(response);
-    console.log(`📻 Client connected. Total: ${this.clients.size}`);
-    
-    // Send current ICY metadata to new client
-    if (this.currentTrack) {
-      this.sendICYMetadata(response);
-    }
-    
-    // If we have a current stream, pipe it to the new client
-    if (this.currentStream) {
-      this.currentStream.pipe(response, { end: false });
-    }
+    this.outputs.forEach(output => output.start());
+    this.relays.forEach(relay => relay.start());
+    this.programFeed.start();
+  }
+
+  getOutput(mount) {
+    return this.outputs.get(mount) || null;
+  }
+
+  // HLS segments MP3 frames, so it follows the first MP3 output
+  getHlsOutput() {
+    return [...this.outputs.values()].find(output => output.format === 'mp3') || null;
+  }
+
+  // Listeners of the default mount unless told otherwise
+  addClient(request, response, mount = 'stream') {
+    const output = this.getOutput(mount);
+    if (!output) return false;
+
+    output.addClient(request, response);
+    return true;
   }
 
   removeClient(response) {
-    this.clients.delete(response);
-    console.log(`📻 Client disconnected. Total: ${this.clients.size}`);
+    for (const output of this.outputs.values()) {
+      if (output.removeClient(response)) return;
+    }
   }
 
   async playTrack(track) {
     console.log(`🎵 Playing: ${track.title} ${track.artist ? `by ${track.artist}` : ''}`);
-    this.currentTrack = track;
+    this.setCurrentTrack(track);
 
     if (!track.path) {
       await this.playFallbackAudio(track);
@@ -97,14 +198,17 @@ export class EnhancedStreamManager {
     if (tracks.length === 0) return;
     
     console.log(`🔄 Playing gapless sequence of ${tracks.length} tracks`);
-    this.currentTrack = tracks[0]; // Use first track for metadata
+    this.setCurrentTrack(tracks[0]);
     
     this.stopCurrentStream();
 
     try {
       // Create concat file for gapless playback
       const concatFile = await this.createConcatFile(tracks);
-      await this.createConcatStream(concatFile);
+      const timeline = this.buildSequenceTimeline(tracks);
+      await this.createConcatStream(concatFile, this.getSequenceGainFilters(timeline));
+      this.currentSource.sequence = timeline;
+      this.currentSource.sequenceIndex = 0;
       this.broadcastICYMetadata();
     } catch (error) {
       console.error('Failed to play gapless sequence:', error);
@@ -113,55 +217,166 @@ export class EnhancedStreamManager {
     }
   }
 
-  async createAudioStream(track) {
-    const ffmpegArgs = [
-      '-i', track.path,
-      '-f', 'mp3',
-      '-acodec', 'libmp3lame',
-      '-b:a', this.streamConfig.bitrate,
-      '-ar', this.streamConfig.sampleRate,
-      '-ac', this.streamConfig.channels,
-      '-map_metadata', '-1', // Remove metadata to avoid issues
-    ];
-
-    // Add gapless options for better transitions
-    if (track.streamingInfo?.needsReencoding) {
-      ffmpegArgs.push(
-        '-avoid_negative_ts', 'make_zero',
-        '-fflags', '+genpts'
-      );
+  // The concat demuxer only joins files cleanly when they share codec parameters
+  canPlayGapless(tracks) {
+    if (!Array.isArray(tracks) || tracks.length === 0) return false;
+
+    const reference = tracks[0].streamingInfo;
+    if (!reference?.sampleRate || !reference?.channels) return false;
+
+    return tracks.every(track =>
+      track.path &&
+      track.streamingInfo?.sampleRate === reference.sampleRate &&
+      track.streamingInfo?.channels === reference.channels &&
+      track.streamingInfo?.codec === reference.codec
+    );
+  }
+
+  getSequenceDuration(tracks) {
+    return tracks.reduce((total, track) => total + this.getTrackDuration(track), 0);
+  }
+
+  getTrackDuration(track) {
+    return track.duration || track.metadata?.duration || 0;
+  }
+
+  // Start offset (seconds into the concat output) of every item in a sequence
+  buildSequenceTimeline(tracks) {
+    let offset = 0;
+    return tracks.map(track => {
+      const entry = { track, offset };
+      offset += this.getTrackDuration(track) / 1000;
+      return entry;
+    });
+  }
+
+  // Follow the concat output and switch now-playing as each item begins
+  updateSequencePosition() {
+    const source = this.currentSource;
+    if (!source?.sequence) return;
+
+    let index = source.sequenceIndex;
+    while (index + 1 < source.sequence.length && source.position >= source.sequence[index + 1].offset) {
+      index++;
+    }
+
+    if (index !== source.sequenceIndex) {
+      source.sequenceIndex = index;
+      this.setCurrentTrack(source.sequence[index].track);
+      this.broadcastICYMetadata();
     }
+  }
 
-    ffmpegArgs.push('-');
+  // Talk-over clips and the early segue that lets music items crossfade
+  updatePlaybackCues() {
+    const source = this.currentSource;
+    if (!source?.track) return;
 
-    this.ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
-    this.currentStream = this.ffmpegProcess.stdout;
-    
-    this.setupStreamPiping();
-    this.setupFFmpegErrorHandling();
-  }
-
-  async createConcatStream(concatFile) {
-    const ffmpegArgs = [
-      '-f', 'concat',
-      '-safe', '0',
-      '-i', concatFile,
-      '-f', 'mp3',
-      '-acodec', 'libmp3lame',
-      '-b:a', this.streamConfig.bitrate,
-      '-ar', this.streamConfig.sampleRate,
-      '-ac', this.streamConfig.channels,
-      '-avoid_negative_ts', 'make_zero',
-      '-fflags', '+genpts',
-      '-'
-    ];
-
-    this.ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
-    this.currentStream = this.ffmpegProcess.stdout;
-    this.currentConcatFile = concatFile;
-    
-    this.setupStreamPiping();
-    this.setupFFmpegErrorHandling();
+    const position = source.position * 1000;
+
+    for (const voiceOver of source.voiceOvers) {
+      if (!voiceOver.source && position >= voiceOver.at - this.voiceOverPreroll) {
+        voiceOver.source = new PcmSource(['-i', voiceOver.item.path], {
+          ...this.streamConfig,
+          filters: this.getGainFilters(voiceOver.item)
+        }).start();
+        voiceOver.source.on('error', (error) => {
+          console.error('Talk-over decoder error:', error.message);
+        });
+      }
+
+      if (voiceOver.source && !voiceOver.started && position >= voiceOver.at) {
+        voiceOver.started = true;
+        console.log(`🎙️ Talking over ${source.track.title}: ${voiceOver.item.title}`);
+        this.programFeed.addOverlay(voiceOver.source);
+        this.emit('voiceover', voiceOver.item, source.track);
+      }
+    }
+
+    if (!source.segued && source.track.type === 'music' && this.crossfadeDuration > 0 &&
+        position >= this.getSeguePoint(source.track)) {
+      // Report the end early, the next item starts while this one fades out
+      source.segued = true;
+      this.emit('ended', source.track);
+    }
+  }
+
+  getSeguePoint(track) {
+    if (track.segueAt) return track.segueAt;
+    if (track.cues?.outroFade) return track.cues.outroFade;
+
+    const duration = this.getTrackDuration(track);
+    return duration > 0 ? duration - this.crossfadeDuration : Infinity;
+  }
+
+  setCurrentTrack(track) {
+    track.startTime = Date.now();
+    this.currentTrack = track;
+    this.emit('trackchange', track);
+  }
+
+  // dB to apply so the item lands on the target loudness
+  getItemGain(track) {
+    const loudness = track?.loudness;
+    if (!this.normalization.enabled || !Number.isFinite(loudness?.integrated)) return 0;
+
+    let gain = this.normalization.target - loudness.integrated;
+
+    // Without a limiter behind us, never push the true peak over the ceiling
+    if (!this.normalization.limiter && Number.isFinite(loudness.truePeak)) {
+      gain = Math.min(gain, this.normalization.ceiling - loudness.truePeak);
+    }
+
+    return Math.round(Math.min(gain, this.normalization.maxGain) * 100) / 100;
+  }
+
+  getGainFilters(track) {
+    const gain = this.getItemGain(track);
+    return gain !== 0 ? [`volume=${gain}dB`] : [];
+  }
+
+  // One volume filter for a concat sequence, switching gain at each item boundary
+  getSequenceGainFilters(timeline) {
+    const gains = timeline.map(entry => this.getItemGain(entry.track));
+    if (gains.every(gain => gain === 0)) return [];
+
+    let expression = `${Math.pow(10, gains[gains.length - 1] / 20).toFixed(4)}`;
+    for (let i = timeline.length - 2; i >= 0; i--) {
+      const linear = Math.pow(10, gains[i] / 20).toFixed(4);
+      expression = `if(lt(t,${timeline[i + 1].offset.toFixed(3)}),${linear},${expression})`;
+    }
+
+    return [`volume='${expression}':eval=frame`];
+  }
+
+  async createAudioStream(track) {
+    // A looping item repeats its file for as long as its duration says
+    const inputArgs = track.loop
+      ? ['-stream_loop', '-1', '-i', track.path, '-t', String(track.duration / 1000)]
+      : ['-i', track.path];
+    const source = new PcmSource(inputArgs, {
+      ...this.streamConfig,
+      filters: this.getGainFilters(track)
+    });
+    source.track = track;
+    source.voiceOvers = (track.voiceOvers || []).map(voiceOver => ({ ...voiceOver, source: null }));
+    this.startSource(source);
+  }
+
+  async createConcatStream(concatFile, filters = []) {
+    const source = new PcmSource(['-f', 'concat', '-safe', '0', '-i', concatFile], {
+      ...this.streamConfig,
+      filters
+    });
+    source.concatFile = concatFile;
+    this.startSource(source);
+  }
+
+  startSource(source) {
+    this.currentSource = source;
+    source.start();
+    this.setupFFmpegErrorHandling(source);
+    this.programFeed.setSource(source);
   }
 
   async createConcatFile(tracks) {
@@ -175,85 +390,253 @@ export class EnhancedStreamManager {
     return concatFile;
   }
 
-  setupStreamPiping() {
-    // Pipe to all connected clients with ICY metadata injection
-    this.clients.forEach(client => {
-      if (!client.destroyed) {
-        this.currentStream.pipe(client, { end: false });
-      }
-    });
-  }
+  setupFFmpegErrorHandling(source) {
+    let errorOutput = '';
 
-  setupFFmpegErrorHandling() {
-    this.ffmpegProcess.stderr.on('data', (data) => {
+    source.process.stderr.on('data', (data) => {
       const output = data.toString();
+      errorOutput = (errorOutput + output).slice(-2048);
       // Log only important errors, not normal ffmpeg output
       if (output.includes('Error') || output.includes('Failed')) {
         console.error('FFmpeg error:', output.trim());
       }
     });
 
-    this.ffmpegProcess.on('close', async (code) => {
+    source.on('exit', async (code) => {
       if (code !== 0 && code !== null) {
         console.log(`FFmpeg process exited with code ${code}`);
+
+        if (!source.stopped) {
+          const missing = /No such file or directory|does not exist/i.test(errorOutput);
+          this.reportSourceFailure(source, missing ? 'missing file' : 'decode error', errorOutput);
+        }
       }
       
       // Clean up concat file
-      if (this.currentConcatFile) {
+      if (source.concatFile) {
         try {
-          await fs.unlink(this.currentConcatFile);
+          await fs.unlink(source.concatFile);
         } catch (error) {
           // Ignore cleanup errors
         }
-        this.currentConcatFile = null;
       }
-      
-      this.currentStream = null;
     });
 
-    this.ffmpegProcess.on('error', (error) => {
+    source.on('error', (error) => {
       console.error('FFmpeg spawn error:', error.message);
-      this.playFallbackAudio(this.currentTrack);
+      this.reportSourceFailure(source, 'spawn failure', error.message);
+      if (source === this.currentSource) {
+        this.playFallbackAudio(this.currentTrack, this.errorHoldTime);
+      }
     });
   }
 
-  broadcastICYMetadata() {
-    if (!this.currentTrack) return;
-    
-    this.clients.forEach(client => {
-      if (!client.destroyed) {
-        this.sendICYMetadata(client);
-      }
+  // Picked up by the dead-air monitor to tell why the station went quiet.
+  // Once per source: a failed spawn also exits with a nonzero code.
+  reportSourceFailure(source, cause, details = '') {
+    if (source.failureReported) return;
+    source.failureReported = true;
+
+    const lines = details.trim().split('\n');
+    this.emit('sourcefailed', {
+      cause,
+      track: source.track || this.currentTrack,
+      message: lines[lines.length - 1] || null
     });
   }
 
-  sendICYMetadata(client) {
+  broadcastICYMetadata() {
     if (!this.currentTrack) return;
     
     const title = this.currentTrack.title || 'Unknown';
     const artist = this.currentTrack.artist || '';
-    const metadataString = `StreamTitle='${artist ? `${artist} - ` : ''}${title}';`;
-    
-    // ICY metadata format: length byte + padded metadata
-    const metadataBuffer = Buffer.from(metadataString, 'utf8');
-    const metadataLength = Math.ceil(metadataBuffer.length / 16);
-    const paddedMetadata = Buffer.alloc(metadataLength * 16);
-    metadataBuffer.copy(paddedMetadata);
-    
-    const icyPacket = Buffer.concat([
-      Buffer.from([metadataLength]),
-      paddedMetadata
-    ]);
-    
-    try {
-      client.write(icyPacket);
-    } catch (error) {
-      // Client disconnected, ignore
-    }
+    const streamTitle = `${artist ? `${artist} - ` : ''}${title}`;
+    this.outputs.forEach(output => output.setTitle(streamTitle));
+    this.relays.forEach(relay => relay.updateMetadata(streamTitle));
   }
 
-  async playFallbackAudio(track) {
+  async playFallbackAudio(track, holdTime = track?.duration || 5000) {
+    // The program feed fills with silence, listeners stay connected
     console.log('🔄 Playing fallback audio');
     this.stopCurrentStream();
+    this.emit('fallback', track);
+
+    this.fallbackTimer = setTimeout(() => {
+      this.fallbackTimer = null;
+      this.emit('ended', track);
+    }, holdTime);
+  }
+
+  stopCurrentStream() {
+    if (this.fallbackTimer) {
+      clearTimeout(this.fallbackTimer);
+      this.fallbackTimer = null;
+    }
+
+    const source = this.currentSource;
+    if (source?.voiceOvers) {
+      // Talk-over already on air finishes its sentence, pending ones are dropped
+      source.voiceOvers
+        .filter(voiceOver => voiceOver.source && !voiceOver.started)
+        .forEach(voiceOver => voiceOver.source.stop());
+    }
+
+    if (source?.track?.type === 'music' && this.crossfadeDuration > 0) {
+      this.programFeed.fadeOutSource(this.crossfadeDuration);
+    } else {
+      this.programFeed.clearSource();
+    }
+    this.currentSource = null;
+  }
+
+  // Puts a live source on air: whatever automation was playing fades out
+  // underneath. `input` is the encoded stream from the DJ's source client.
+  startLive(input, info = {}) {
+    if (this.live) return false;
+
+    if (this.fallbackTimer) {
+      clearTimeout(this.fallbackTimer);
+      this.fallbackTimer = null;
+    }
+    this.programFeed.clearOverlays();
+    this.programFeed.fadeOutSource(this.liveFadeDuration);
+    this.currentSource = null;
+
+    const source = new PcmSource(['-i', 'pipe:0'], { ...this.streamConfig }).start();
+    source.process.stdin.on('error', () => {}); // decoder gone, endLive below cleans up
+    if (info.initial?.length) source.process.stdin.write(info.initial);
+    input.pipe(source.process.stdin);
+
+    const track = {
+      path: null,
+      type: 'live',
+      title: info.name || 'LIVE',
+      artist: info.description || null,
+      remote: info.remote || null
+    };
+    this.live = { source, input, track, lastAudibleAt: Date.now() };
+    this.programFeed.setSource(source);
+
+    input.on('close', () => this.endLive('source disconnected'));
+    input.on('error', () => {});
+    source.on('exit', () => this.endLive('decoder exited'));
+    source.on('error', (error) => {
+      console.error('FFmpeg spawn error:', error.message);
+      this.endLive('decoder failed');
+    });
+    source.process.stderr.on('data', (data) => {
+      const output = data.toString();
+      if (output.includes('Error') || output.includes('Failed')) {
+        console.error('FFmpeg error (live):', output.trim());
+      }
+    });
+
+    console.log(`🎤 LIVE on air: ${track.title}${info.remote ? ` from ${info.remote}` : ''}`);
+    this.setCurrentTrack(track);
+    this.broadcastICYMetadata();
+    this.emit('livestart', track);
+    return true;
+  }
+
+  // Takes the live source off air, automation picks up on 'liveend'
+  endLive(reason = 'stopped') {
+    if (!this.live) return false;
+
+    const { source, input, track } = this.live;
+    this.live = null;
+    input.unpipe(source.process.stdin);
+    input.destroy();
+
+    if (this.programFeed.source === source) {
+      this.programFeed.fadeOutSource(this.liveFadeDuration);
+    } else {
+      source.stop();
+    }
+
+    console.log(`🎤 Live ended (${reason}), back to automation`);
+    this.emit('liveend', track, reason);
+    return true;
+  }
+
+  // A DJ whose connection stays up but sends nothing (or silence) is dead air
+  checkLiveLevel(pcm) {
+    const now = Date.now();
+    if (peakLevel(pcm) >= this.liveSilenceThreshold) {
+      this.live.lastAudibleAt = now;
+    } else if (now - this.live.lastAudibleAt > this.liveSilenceTimeout) {
+      this.endLive('silence');
+    }
+  }
+
+  // Milliseconds of the current item that have actually gone out to the encoder
+  getPosition() {
+    const source = this.currentSource;
+    if (!source) {
+      return this.currentTrack?.startTime ? Date.now() - this.currentTrack.startTime : 0;
+    }
+
+    const offset = source.sequence ? source.sequence[source.sequenceIndex].offset : 0;
+    return Math.max(0, Math.round((source.position - offset) * 1000));
+  }
+
+  async stop() {
+    this.endLive('station stopped');
+    this.stopCurrentStream();
+    this.emit('stopped');
+    this.programFeed.stop();
+    this.relays.forEach(relay => relay.stop());
+    this.outputs.forEach(output => output.stop());
+    this.currentSource = null;
+
+    if (this.hlsSegmenter) {
+      await this.hlsSegmenter.stop();
+    }
+  }
+
+  getListenerCount() {
+    return [...this.outputs.values()].reduce((total, output) => total + output.clients.size, 0);
+  }
+
+  // Rebuilds one output's encoder, listeners of the other mounts are untouched
+  updateStreamConfig({ mount = 'stream', format, bitrate }) {
+    const output = this.getOutput(mount);
+    if (!output) {
+      throw Object.assign(new Error(`Unknown mount "${mount}"`), { statusCode: 404 });
+    }
+
+    const hlsOutput = this.getHlsOutput();
+    output.reconfigure({ format, bitrate });
+
+    // HLS now follows another output: start a new segment run. A reconfigured
+    // HLS output reports its new encoder by itself.
+    if (this.getHlsOutput() !== hlsOutput) {
+      this.hlsSegmenter?.markDiscontinuity();
+    }
+    return output.getStats();
+  }
+
+  getStreamStats() {
+    return {
+      clients: this.getListenerCount(),
+      currentTrack: this.currentTrack ? {
+        title: this.currentTrack.title,
+        artist: this.currentTrack.artist || null
+      } : null,
+      config: this.streamConfig,
+      live: this.live ? {
+        title: this.live.track.title,
+        remote: this.live.track.remote,
+        since: new Date(this.live.track.startTime).toISOString()
+      } : null,
+      normalization: this.normalization,
+      outputs: [...this.outputs.values()].map(output => output.getStats()),
+      relays: this.relays.map(relay => relay.getStats()),
+      buffer: {
+        burstSeconds: this.burstSeconds,
+        maxLagSeconds: this.maxLagSeconds
+      },
+      droppedClients: [...this.outputs.values()].reduce((total, output) => total + output.droppedClients, 0),
+      hls: this.hlsSegmenter ? this.hlsSegmenter.getStats() : null
+    };
   }
 }
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Keeps the most recent encoded frames for the shared broadcast. Frames get
+// increasing sequence numbers so every listener can hold its own cursor.
+export class FrameRingBuffer {
+  constructor(maxDuration = 20) {
+    this.maxDuration = maxDuration; // seconds of audio retained
+    this.frames = [];
+    this.firstSequence = 0;
+    this.duration = 0;
+  }
+
+  // Sequence number the next pushed frame will get
+  get head() {
+    return this.firstSequence + this.frames.length;
+  }
+
+  // Oldest sequence number still available
+  get tail() {
+    return this.firstSequence;
+  }
+
+  push(data, duration) {
+    this.frames.push({ data, duration });
+    this.duration += duration;
+
+    while (this.duration > this.maxDuration && this.frames.length > 1) {
+      const dropped = this.frames.shift();
+      this.duration -= dropped.duration;
+      this.firstSequence++;
+    }
+  }
+
+  // Sequence number that starts roughly `seconds` before the live edge
+  sequenceBefore(seconds) {
+    let total = 0;
+    let index = this.frames.length;
+
+    while (index > 0 && total < seconds) {
+      index--;
+      total += this.frames[index].duration;
+    }
+
+    return this.firstSequence + index;
+  }
+
+  read(from, to = this.head) {
+    const start = Math.max(from, this.tail) - this.firstSequence;
+    const end = to - this.firstSequence;
+    const frames = this.frames.slice(start, end);
+    return frames.length === 1 ? frames[0].data : Buffer.concat(frames.map(frame => frame.data));
+  }
+
+  clear() {
+    this.firstSequence = this.head;
+    this.frames = [];
+    this.duration = 0;
+  }
+}
@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Mp3FrameParser } from './Mp3FrameParser.js';
+import { MpegTsMuxer } from './MpegTsMuxer.js';
+
+// Turns the live MP3 output into a rolling HLS playlist of MPEG-TS segments
+export class HLSSegmenter {
+  constructor(options = {}) {
+    this.outputPath = options.outputPath;
+    this.playlistName = options.playlistName || 'stream.m3u8';
+    this.segmentPrefix = options.segmentPrefix || 'segment';
+    this.targetDuration = options.targetDuration || 6; // seconds
+    this.windowSize = options.windowSize || 6; // segments listed in the playlist
+    this.retainSegments = options.retainSegments || 3; // expired segments kept for slow clients
+
+    this.parser = new Mp3FrameParser();
+    this.muxer = new MpegTsMuxer();
+
+    this.pendingFrames = [];
+    this.pendingDuration = 0;
+    this.pendingDiscontinuity = false;
+    this.segments = [];
+    this.expiredSegments = [];
+    this.mediaSequence = 0;
+    this.discontinuitySequence = 0;
+    this.nextSequence = 0;
+    this.samplesWritten = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  get playlistPath() {
+    return path.join(this.outputPath, this.playlistName);
+  }
+
+  async initialize() {
+    await fs.mkdir(this.outputPath, { recursive: true });
+
+    // Remove leftovers from a previous run so players never see stale segments
+    const files = await fs.readdir(this.outputPath);
+    await Promise.all(files
+      .filter(file => file.endsWith('.ts') || file.endsWith('.m3u8') || file.endsWith('.tmp'))
+      .map(file => fs.unlink(path.join(this.outputPath, file)).catch(() => {})));
+  }
+
+  write(chunk) {
+    for (const frame of this.parser.push(chunk)) {
+      // Start PTS at one second, some players dislike a zero timestamp
+      frame.pts = 90000 + Math.round(this.samplesWritten * 90000 / frame.sampleRate);
+      this.samplesWritten += frame.samples;
+
+      this.pendingFrames.push(frame);
+      this.pendingDuration += frame.samples / frame.sampleRate;
+
+      if (this.pendingDuration >= this.targetDuration) {
+        this.flushSegment();
+      }
+    }
+  }
+
+  // Called when the encoder feeding HLS starts anew: close the running segment
+  // and tag the next one. A frame cut off by the old encoder is dropped.
+  markDiscontinuity() {
+    if (this.samplesWritten === 0) return; // nothing published yet
+    this.flushSegment();
+    this.parser.reset();
+    this.pendingDiscontinuity = true;
+  }
+
+  flushSegment() {
+    if (this.pendingFrames.length === 0) return;
+
+    const frames = this.pendingFrames;
+    const segment = {
+      sequence: this.nextSequence++,
+      name: `${this.segmentPrefix}${this.nextSequence - 1}.ts`,
+      duration: this.pendingDuration,
+      discontinuity: this.pendingDiscontinuity
+    };
+
+    this.pendingFrames = [];
+    this.pendingDuration = 0;
+    this.pendingDiscontinuity = false;
+
+    const streamType = frames[0].version === 1 ? 0x03 : 0x04;
+    const data = this.muxer.mux(frames, { streamType });
+
+    // Serialize disk writes so the playlist never references an unwritten segment
+    this.writeQueue = this.writeQueue
+      .then(() => this.publishSegment(segment, data))
+      .catch(error => console.error('HLS segment write failed:', error.message));
+  }
+
+  async publishSegment(segment, data) {
+    await fs.writeFile(path.join(this.outputPath, segment.name), data);
+
+    this.segments.push(segment);
+    while (this.segments.length > this.windowSize) {
+      const expired = this.segments.shift();
+      this.mediaSequence = expired.sequence + 1;
+      if (this.segments[0]?.discontinuity) {
+        this.discontinuitySequence++;
+      }
+      this.expiredSegments.push(expired);
+    }
+
+    await this.writePlaylist();
+    await this.cleanupExpiredSegments();
+  }
+
+  async writePlaylist() {
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${this.targetDuration}`,
+      `#EXT-X-MEDIA-SEQUENCE:${this.mediaSequence}`,
+      `#EXT-X-DISCONTINUITY-SEQUENCE:${this.discontinuitySequence}`
+    ];
+
+    this.segments.forEach((segment, index) => {
+      // A leading discontinuity is already accounted for by the sequence above
+      if (segment.discontinuity && index > 0) {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+      lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+      lines.push(segment.name);
+    });
+
+    // Write then rename so clients never read a half-written playlist
+    const tempFile = `${this.playlistPath}.tmp`;
+    await fs.writeFile(tempFile, lines.join('\n') + '\n', 'utf8');
+    await fs.rename(tempFile, this.playlistPath);
+  }
+
+  async cleanupExpiredSegments() {
+    while (this.expiredSegments.length > this.retainSegments) {
+      const segment = this.expiredSegments.shift();
+      try {
+        await fs.unlink(path.join(this.outputPath, segment.name));
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      playlist: this.playlistName,
+      segments: this.segments.length,
+      mediaSequence: this.mediaSequence,
+      targetDuration: this.targetDuration,
+      windowDuration: this.segments.reduce((total, segment) => total + segment.duration, 0)
+    };
+  }
+
+  async stop() {
+    this.flushSegment();
+    await this.writeQueue;
+  }
+}
@@ -0,0 +1,193 @@
+import axios from 'axios';
+import net from 'net';
+
+// Relays one of the station's outputs to an Icecast (or SHOUTcast 2) server
+// as a source client. PUT is the Icecast 2.4+ way, SOURCE the legacy one;
+// both stream the encoded audio for as long as the connection lasts.
+export class IcecastSource {
+  constructor(output, options = {}) {
+    this.output = output;
+    this.host = options.host || 'localhost';
+    this.port = parseInt(options.port || 8000, 10);
+    this.mount = `/${String(options.mount || output.mount).replace(/^\/+/, '')}`;
+    this.username = options.username || 'source';
+    this.password = options.password || '';
+    this.method = (options.protocol || 'put').toLowerCase() === 'source' ? 'SOURCE' : 'PUT';
+    this.stationInfo = options.stationInfo || {};
+    this.public = Boolean(options.public);
+
+    this.minBackoff = options.minBackoff || 1000;
+    this.maxBackoff = options.maxBackoff || 60000;
+    this.connectTimeout = options.connectTimeout || 10000;
+    this.maxBufferedBytes = options.maxBufferedBytes || 512 * 1024; // frames dropped past this
+
+    this.socket = null;
+    this.connected = false;
+    this.stopping = false;
+    this.backoff = this.minBackoff;
+    this.reconnectTimer = null;
+    this.title = null;
+    this.stats = { connectedSince: null, reconnects: 0, bytesSent: 0, droppedFrames: 0, lastError: null };
+
+    this.onFrame = (frame) => this.send(frame);
+    // New format or bitrate: reconnect so the server sees the new headers
+    this.onReconfigure = () => this.socket?.destroy();
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}${this.mount}`;
+  }
+
+  start() {
+    this.stopping = false;
+    this.output.on('frame', this.onFrame);
+    this.output.on('reconfigure', this.onReconfigure);
+    this.connect();
+  }
+
+  stop() {
+    this.stopping = true;
+    this.output.off('frame', this.onFrame);
+    this.output.off('reconfigure', this.onReconfigure);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.socket?.destroy();
+    this.socket = null;
+    this.connected = false;
+    this.stats.connectedSince = null;
+  }
+
+  buildRequest() {
+    const auth = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+    const headers = {
+      'Host': `${this.host}:${this.port}`,
+      'Authorization': `Basic ${auth}`,
+      'User-Agent': 'SelfRadio',
+      'Content-Type': this.output.contentType,
+      'ice-name': this.stationInfo.name,
+      'ice-genre': this.stationInfo.genre,
+      'ice-description': this.stationInfo.description,
+      'ice-url': this.stationInfo.url,
+      'ice-public': this.public ? '1' : '0',
+      'ice-audio-info': `bitrate=${this.output.bitrate.replace('k', '')}`
+    };
+    if (this.method === 'PUT') {
+      headers['Expect'] = '100-continue';
+    }
+
+    const lines = [`${this.method} ${this.mount} ${this.method === 'PUT' ? 'HTTP/1.1' : 'HTTP/1.0'}`];
+    for (const [name, value] of Object.entries(headers)) {
+      if (value !== undefined && value !== null && value !== '') {
+        lines.push(`${name}: ${String(value).replace(/[\r\n]/g, ' ')}`);
+      }
+    }
+    return `${lines.join('\r\n')}\r\n\r\n`;
+  }
+
+  connect() {
+    this.reconnectTimer = null;
+    console.log(`📡 Connecting to Icecast ${this.url} (${this.method})`);
+
+    const socket = net.connect(this.port, this.host);
+    this.socket = socket;
+    let response = '';
+
+    socket.setTimeout(this.connectTimeout, () => {
+      socket.destroy(new Error('timed out'));
+    });
+
+    socket.once('connect', () => socket.write(this.buildRequest()));
+
+    // The server answers once, then only the audio flows (towards it)
+    const onData = (chunk) => {
+      response += chunk.toString('latin1');
+      if (!response.includes('\r\n')) return;
+
+      socket.off('data', onData);
+      socket.resume(); // anything else the server says is ignored
+      const status = response.split('\r\n')[0];
+      const match = /^(?:HTTP\/1\.[01]|ICY) (\d{3})/.exec(status);
+      const code = match ? parseInt(match[1], 10) : 0;
+
+      if (code === 100 || code === 200) {
+        this.handleConnected();
+      } else {
+        socket.destroy(new Error(code === 401 ? 'authentication failed' : `rejected: ${status.trim()}`));
+      }
+    };
+    socket.on('data', onData);
+
+    socket.on('error', (error) => {
+      this.stats.lastError = error.message;
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      const wasConnected = this.connected;
+      this.socket = null;
+      this.connected = false;
+      this.stats.connectedSince = null;
+      if (this.stopping) return;
+
+      console.warn(`⚠️  Icecast ${this.url} ${wasConnected ? 'disconnected' : 'connection failed'}` +
+        `${this.stats.lastError ? ` (${this.stats.lastError})` : ''}, retrying in ${this.backoff / 1000}s`);
+      this.scheduleReconnect();
+    });
+  }
+
+  handleConnected() {
+    this.socket.setTimeout(0);
+    this.connected = true;
+    this.backoff = this.minBackoff;
+    this.stats.connectedSince = new Date().toISOString();
+    this.stats.lastError = null;
+    console.log(`📡 Streaming to Icecast ${this.url}`);
+
+    // Ogg listeners of the relay need the stream headers first
+    this.output.headers.forEach(page => this.socket.write(page));
+    if (this.title) this.updateMetadata(this.title);
+  }
+
+  scheduleReconnect() {
+    this.stats.reconnects++;
+    this.reconnectTimer = setTimeout(() => this.connect(), this.backoff);
+    this.backoff = Math.min(this.backoff * 2, this.maxBackoff);
+  }
+
+  send(frame) {
+    if (!this.connected) return;
+
+    // A stalled server must not make us buffer forever
+    if (this.socket.writableLength > this.maxBufferedBytes) {
+      this.stats.droppedFrames++;
+      return;
+    }
+
+    this.socket.write(frame);
+    this.stats.bytesSent += frame.length;
+  }
+
+  // Icecast takes MP3/AAC titles through its admin API, Ogg carries its own
+  updateMetadata(title) {
+    this.title = title;
+    if (!this.connected || !this.output.supportsIcyMetadata) return;
+
+    axios.get(`http://${this.host}:${this.port}/admin/metadata`, {
+      params: { mount: this.mount, mode: 'updinfo', song: title },
+      auth: { username: this.username, password: this.password },
+      timeout: 5000
+    }).catch(error => {
+      console.warn(`Failed to update Icecast metadata on ${this.url}:`, error.message);
+    });
+  }
+
+  getStats() {
+    return {
+      url: this.url,
+      method: this.method,
+      output: this.output.mount,
+      connected: this.connected,
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,68 @@
+import { Transform } from 'stream';
+
+// Per-client transform that interleaves ICY metadata blocks into the audio
+// exactly every `metaint` bytes, as SHOUTcast/Icecast clients expect.
+export class IcyMetadataInjector extends Transform {
+  constructor(metaint = 8192) {
+    super();
+    this.metaint = metaint;
+    this.bytesUntilMetadata = metaint;
+    this.pendingTitle = null;
+  }
+
+  static encode(title) {
+    // Quotes terminate the value for most parsers
+    const safeTitle = title.replace(/'/g, '’');
+
+    // The length byte counts 16-byte blocks, so 4080 bytes is the hard limit.
+    // Cut before a UTF-8 continuation byte would split a character.
+    const encoded = Buffer.from(safeTitle, 'utf8');
+    let end = Math.min(encoded.length, 255 * 16 - 15);
+    while (end < encoded.length && (encoded[end] & 0xc0) === 0x80) end--;
+    const titleBytes = encoded.subarray(0, end);
+    const metadata = Buffer.concat([
+      Buffer.from("StreamTitle='"),
+      titleBytes,
+      Buffer.from("';")
+    ]);
+
+    const blocks = Math.ceil(metadata.length / 16);
+    const packet = Buffer.alloc(1 + blocks * 16);
+    packet[0] = blocks;
+    metadata.copy(packet, 1);
+    return packet;
+  }
+
+  // The title goes out in the next metadata slot, empty blocks are sent otherwise
+  setTitle(title) {
+    this.pendingTitle = title;
+  }
+
+  _transform(chunk, encoding, callback) {
+    let offset = 0;
+
+    while (offset < chunk.length) {
+      const length = Math.min(this.bytesUntilMetadata, chunk.length - offset);
+      this.push(chunk.subarray(offset, offset + length));
+      offset += length;
+      this.bytesUntilMetadata -= length;
+
+      if (this.bytesUntilMetadata === 0) {
+        this.push(this.nextMetadataBlock());
+        this.bytesUntilMetadata = this.metaint;
+      }
+    }
+
+    callback();
+  }
+
+  nextMetadataBlock() {
+    if (this.pendingTitle === null) {
+      return Buffer.from([0]);
+    }
+
+    const block = IcyMetadataInjector.encode(this.pendingTitle);
+    this.pendingTitle = null;
+    return block;
+  }
+}
@@ -0,0 +1,169 @@
+// Listener song requests. Accepted tracks take over the next music slot in the
+// scheduler's queue, one pending request per listener keeps it fair, and a
+// track that is already queued just collects the extra request.
+export class ListenerRequests {
+  constructor(scheduler, options = {}) {
+    this.scheduler = scheduler;
+    this.maxPerClient = options.maxPerClient || 3; // accepted requests per window
+    this.window = options.window || 60 * 60 * 1000;
+    this.maxPendingPerClient = options.maxPendingPerClient || 1;
+    this.maxDedicationLength = 60;
+    this.history = new Map(); // clientId -> timestamps of accepted requests
+  }
+
+  submit({ trackId, clientId, requestedBy }) {
+    this.checkRateLimit(clientId);
+
+    const track = this.scheduler.audioLibrary.findItem(trackId);
+    if (!track || track.type !== 'music') {
+      throw requestError(404, 'Track not found');
+    }
+
+    const dedication = typeof requestedBy === 'string'
+      ? requestedBy.trim().slice(0, this.maxDedicationLength)
+      : '';
+
+    // Already coming up: merge into the queued entry
+    const queued = this.findQueued(track.path);
+    if (queued) {
+      queued.item.request = queued.item.request || createRequest();
+      this.addRequester(queued.item.request, clientId, dedication);
+      this.recordRequest(clientId);
+      console.log(`🙋 Request merged for "${track.title}" (${queued.item.request.count} requests)`);
+      return { status: 'merged', position: queued.index + 1, request: describeRequest(queued.item.request) };
+    }
+
+    if (this.scheduler.currentTrack?.path === track.path) {
+      throw requestError(409, 'Track is playing right now');
+    }
+    if (this.scheduler.playlistGenerator.wasRecentlyPlayed(track)) {
+      throw requestError(409, 'Track was played recently');
+    }
+    if (this.countPending(clientId) >= this.maxPendingPerClient) {
+      throw requestError(429, 'You already have a request waiting to play');
+    }
+
+    const request = createRequest();
+    this.addRequester(request, clientId, dedication);
+
+    const items = this.scheduler.playlistGenerator.createRequestedMusic(track, request);
+    const index = this.insertAtNextMusicSlot(items);
+    this.recordRequest(clientId);
+
+    console.log(`🙋 Request queued: "${track.title}"${dedication ? ` for ${dedication}` : ''}`);
+    return { status: 'queued', position: index + 1, request: describeRequest(request) };
+  }
+
+  // Requests waiting in the queue, in play order
+  getPending() {
+    return this.scheduler.queue
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => !Array.isArray(entry) && entry.request)
+      .map(({ entry, index }) => ({
+        position: index + 1,
+        id: entry.id,
+        title: entry.title,
+        artist: entry.artist,
+        request: describeRequest(entry.request)
+      }));
+  }
+
+  checkRateLimit(clientId) {
+    const now = Date.now();
+    const recent = (this.history.get(clientId) || []).filter(time => now - time < this.window);
+
+    if (recent.length > 0) {
+      this.history.set(clientId, recent);
+    } else {
+      this.history.delete(clientId);
+    }
+
+    if (recent.length >= this.maxPerClient) {
+      const retryAfter = Math.ceil((recent[0] + this.window - now) / 1000);
+      throw requestError(429, `Request limit reached, try again in ${Math.ceil(retryAfter / 60)} minutes`, { retryAfter });
+    }
+  }
+
+  recordRequest(clientId) {
+    const recent = this.history.get(clientId) || [];
+    recent.push(Date.now());
+    this.history.set(clientId, recent);
+  }
+
+  addRequester(request, clientId, dedication) {
+    request.count++;
+    request.clients.add(clientId);
+    if (dedication && !request.dedications.includes(dedication)) {
+      request.dedications.push(dedication);
+    }
+  }
+
+  findQueued(filePath) {
+    const index = this.scheduler.queue.findIndex(entry => !Array.isArray(entry) && entry.path === filePath);
+    return index === -1 ? null : { item: this.scheduler.queue[index], index };
+  }
+
+  countPending(clientId) {
+    return this.scheduler.queue
+      .filter(entry => !Array.isArray(entry) && entry.request?.clients.has(clientId))
+      .length;
+  }
+
+  // Replaces the first music slot not already taken by a request, together
+  // with the DJ intro leading into it and a back-announce naming it. A
+  // gapless sequence holding the song and its intro goes as a whole. Returns
+  // the index of the requested track.
+  insertAtNextMusicSlot(items) {
+    const queue = this.scheduler.queue;
+    let index = queue.findIndex(entry => Array.isArray(entry) ? isMusicSequence(entry) : isOpenMusic(entry));
+
+    if (index === -1) {
+      queue.push(...items);
+      return queue.length - 1;
+    }
+
+    const slot = queue[index];
+    const displaced = Array.isArray(slot) ? slot.find(isOpenMusic) : slot;
+    let count = 1;
+    if (!Array.isArray(slot) && index > 0 && queue[index - 1].type === 'dj-intro' && queue[index - 1].isGaplessStart) {
+      index--;
+      count++;
+    }
+
+    queue.splice(index, count, ...items);
+    this.scheduler.removeBackAnnounce(index + items.length, displaced);
+    this.scheduler.playlistGenerator.removeFromHistory(displaced);
+    return index + items.length - 1;
+  }
+}
+
+// A song from rotation, free to give up its slot to a request
+function isOpenMusic(item) {
+  return item.type === 'music' && !item.request;
+}
+
+// Such a song with only the DJ talking about it around it
+function isMusicSequence(sequence) {
+  return sequence.some(isOpenMusic) &&
+    sequence.every(item => isOpenMusic(item) || item.type === 'dj-intro' || item.type === 'dj-outro');
+}
+
+function createRequest() {
+  return { count: 0, dedications: [], clients: new Set(), requestedAt: new Date().toISOString() };
+}
+
+// Who asked stays private, only the dedications are shown
+export function describeRequest(request) {
+  return {
+    count: request.count,
+    dedications: request.dedications,
+    requestedAt: request.requestedAt
+  };
+}
+
+function requestError(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+}
@@ -0,0 +1,120 @@
+import net from 'net';
+import { timingSafeEqual } from 'crypto';
+
+// Accepts live DJ connections the way Icecast does: PUT (or legacy SOURCE)
+// to a mount with Basic auth, then the encoded audio for as long as the DJ is
+// on. Express cannot take these, source clients send no length and no
+// chunking, so this listens on a port of its own.
+export class LiveInputServer {
+  constructor(options = {}) {
+    this.port = parseInt(options.port || 8010, 10);
+    this.host = options.host || '0.0.0.0';
+    this.resolve = options.resolve; // mount -> { name, password, streamManager } or null
+    this.headerTimeout = options.headerTimeout || 10000;
+    this.maxHeaderBytes = 16 * 1024;
+    this.server = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer(socket => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        console.log(`🎤 Live input listening on port ${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    this.server?.close();
+    this.server = null;
+  }
+
+  handleConnection(socket) {
+    let buffer = Buffer.alloc(0);
+
+    socket.setTimeout(this.headerTimeout, () => socket.destroy());
+    socket.on('error', () => {});
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      const end = buffer.indexOf('\r\n\r\n');
+
+      if (end === -1) {
+        if (buffer.length > this.maxHeaderBytes) this.reply(socket, 431, 'Request Header Fields Too Large');
+        return;
+      }
+
+      socket.off('data', onData);
+      socket.pause();
+      socket.setTimeout(0);
+      this.handleRequest(socket, buffer.subarray(0, end).toString('latin1'), buffer.subarray(end + 4));
+    };
+    socket.on('data', onData);
+  }
+
+  handleRequest(socket, head, rest) {
+    const [requestLine, ...headerLines] = head.split('\r\n');
+    const [method, target = ''] = requestLine.split(' ');
+    const headers = {};
+    for (const line of headerLines) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    if (method !== 'PUT' && method !== 'SOURCE') {
+      return this.reply(socket, 405, 'Method Not Allowed');
+    }
+
+    const mount = target.split('?')[0];
+    const station = this.resolve(mount);
+    if (!station) {
+      return this.reply(socket, 404, 'Unknown mount');
+    }
+    if (!station.password) {
+      return this.reply(socket, 403, 'Live input disabled for this station');
+    }
+    if (!this.checkPassword(headers.authorization, station.password)) {
+      return this.reply(socket, 401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="SelfRadio"' });
+    }
+    if (station.streamManager.live) {
+      return this.reply(socket, 403, 'Mountpoint in use');
+    }
+
+    const remote = socket.remoteAddress;
+    console.log(`🎤 Live source connected to ${mount} from ${remote}`);
+
+    // Source clients wait for the go-ahead before sending audio
+    socket.write(headers.expect?.toLowerCase() === '100-continue'
+      ? 'HTTP/1.1 100 Continue\r\n\r\n'
+      : 'HTTP/1.0 200 OK\r\n\r\n');
+
+    station.streamManager.startLive(socket, {
+      name: headers['ice-name'] || null,
+      description: headers['ice-description'] || null,
+      remote,
+      initial: rest
+    });
+    socket.resume();
+  }
+
+  // Any user name, the station's live password
+  checkPassword(authorization = '', password) {
+    const match = /^Basic\s+(.+)$/i.exec(authorization);
+    if (!match) return false;
+
+    const decoded = Buffer.from(match[1], 'base64').toString();
+    const given = Buffer.from(decoded.slice(decoded.indexOf(':') + 1));
+    const expected = Buffer.from(password);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  reply(socket, status, message, headers = {}) {
+    const lines = [`HTTP/1.0 ${status} ${message}`, 'Content-Type: text/plain'];
+    for (const [name, value] of Object.entries(headers)) {
+      lines.push(`${name}: ${value}`);
+    }
+    socket.end(`${lines.join('\r\n')}\r\n\r\n${message}\n`);
+  }
+}
@@ -0,0 +1,83 @@
+// Splits an MP3 byte stream into whole frames so they can be segmented or
+// broadcast without cutting a frame in half.
+
+const BITRATES = {
+  // MPEG-1 Layer III
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 0],
+  // MPEG-2 / 2.5 Layer III
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160, 0]
+};
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000, 0],
+  2: [22050, 24000, 16000, 0],
+  2.5: [11025, 12000, 8000, 0]
+};
+
+export class Mp3FrameParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  static parseHeader(buffer, offset = 0) {
+    if (buffer.length - offset < 4) return null;
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+
+    // Only Layer III is produced by our encoder
+    if (versionBits === 0x01 || layerBits !== 0x01) return null;
+
+    const version = versionBits === 0x03 ? 1 : versionBits === 0x02 ? 2 : 2.5;
+    const bitrate = BITRATES[version === 1 ? 1 : 2][bitrateIndex];
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    if (!bitrate || !sampleRate) return null;
+
+    const samplesPerFrame = version === 1 ? 1152 : 576;
+    const frameLength = Math.floor((samplesPerFrame / 8) * bitrate * 1000 / sampleRate) + padding;
+
+    return { version, bitrate, sampleRate, samplesPerFrame, frameLength };
+  }
+
+  // Returns the complete frames contained in the buffered data plus this chunk
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+    let offset = 0;
+
+    while (offset + 4 <= this.buffer.length) {
+      const header = Mp3FrameParser.parseHeader(this.buffer, offset);
+
+      if (!header) {
+        offset = this.skipToNextSync(offset + 1);
+        continue;
+      }
+
+      if (offset + header.frameLength > this.buffer.length) break;
+
+      frames.push({
+        data: this.buffer.subarray(offset, offset + header.frameLength),
+        sampleRate: header.sampleRate,
+        samples: header.samplesPerFrame,
+        version: header.version
+      });
+      offset += header.frameLength;
+    }
+
+    this.buffer = Buffer.from(this.buffer.subarray(offset));
+    return frames;
+  }
+
+  skipToNextSync(offset) {
+    const next = this.buffer.indexOf(0xff, offset);
+    return next === -1 ? this.buffer.length : next;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+}
@@ -0,0 +1,164 @@
+// Minimal MPEG-TS muxer for a single MP3 audio elementary stream.
+// Enough for HLS: PAT/PMT at the start of each segment, PES packets with PTS,
+// and PCR carried on the audio PID.
+
+const PACKET_SIZE = 188;
+const PMT_PID = 0x1000;
+const AUDIO_PID = 0x0101;
+const PTS_WRAP = 2 ** 33;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let j = 0; j < 8; j++) {
+      crc = (crc & 0x80000000) ? ((crc << 1) ^ 0x04c11db7) : (crc << 1);
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+function byteAt(value, shift) {
+  return Math.floor(value / 2 ** shift) & 0xff;
+}
+
+export class MpegTsMuxer {
+  constructor() {
+    this.continuity = new Map();
+  }
+
+  // frames: [{ data, pts }] where pts is in 90kHz units
+  mux(frames, { framesPerPes = 8, streamType = 0x03 } = {}) {
+    const packets = [this.createPAT(), this.createPMT(streamType)];
+
+    for (let i = 0; i < frames.length; i += framesPerPes) {
+      const group = frames.slice(i, i + framesPerPes);
+      const pts = group[0].pts % PTS_WRAP;
+      const pes = this.createPES(Buffer.concat(group.map(frame => frame.data)), pts);
+      packets.push(...this.packetize(AUDIO_PID, pes, pts));
+    }
+
+    return Buffer.concat(packets);
+  }
+
+  createPAT() {
+    const section = Buffer.from([
+      0x00, 0xb0, 0x0d, // table id, section length 13
+      0x00, 0x01, 0xc1, 0x00, 0x00, // transport stream id, version, section numbers
+      0x00, 0x01, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff // program 1 -> PMT
+    ]);
+    return this.createPSIPacket(0x0000, section);
+  }
+
+  createPMT(streamType) {
+    const section = Buffer.from([
+      0x02, 0xb0, 0x12, // table id, section length 18
+      0x00, 0x01, 0xc1, 0x00, 0x00, // program number, version, section numbers
+      0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, // PCR PID
+      0xf0, 0x00, // program info length
+      streamType, 0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, 0xf0, 0x00
+    ]);
+    return this.createPSIPacket(PMT_PID, section);
+  }
+
+  createPSIPacket(pid, section) {
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(section));
+
+    const packet = Buffer.alloc(PACKET_SIZE, 0xff);
+    this.writeHeader(packet, pid, true, 0x10);
+    packet[4] = 0x00; // pointer field
+    section.copy(packet, 5);
+    crc.copy(packet, 5 + section.length);
+    return packet;
+  }
+
+  createPES(payload, pts) {
+    const header = Buffer.from([
+      0x00, 0x00, 0x01, 0xc0, // start code, audio stream 0
+      0x00, 0x00, // packet length, filled below
+      0x80, 0x80, 0x05, // flags: PTS only, header data length
+      0x21 | ((byteAt(pts, 30) & 0x07) << 1),
+      byteAt(pts, 22),
+      (byteAt(pts, 14) & 0xfe) | 0x01,
+      byteAt(pts, 7),
+      ((pts * 2) & 0xfe) | 0x01
+    ]);
+
+    const length = header.length - 6 + payload.length;
+    header.writeUInt16BE(length > 0xffff ? 0 : length, 4);
+    return Buffer.concat([header, payload]);
+  }
+
+  packetize(pid, payload, pts) {
+    const packets = [];
+    let offset = 0;
+
+    while (offset < payload.length) {
+      const first = offset === 0;
+      const packet = Buffer.alloc(PACKET_SIZE, 0xff);
+
+      // First packet of each PES carries the PCR so audio-only streams have a clock
+      let adaptation = first ? [0x50, ...this.encodePCR(pts)] : null;
+      let space = PACKET_SIZE - 4 - (adaptation ? adaptation.length + 1 : 0);
+      const remaining = payload.length - offset;
+
+      if (remaining < space) {
+        const stuffing = space - remaining;
+        if (adaptation) {
+          adaptation.push(...new Array(stuffing).fill(0xff));
+        } else if (stuffing === 1) {
+          adaptation = [];
+        } else {
+          adaptation = [0x00, ...new Array(stuffing - 2).fill(0xff)];
+        }
+        space = remaining;
+      }
+
+      this.writeHeader(packet, pid, first, adaptation ? 0x30 : 0x10);
+      let position = 4;
+
+      if (adaptation) {
+        packet[position++] = adaptation.length;
+        Buffer.from(adaptation).copy(packet, position);
+        position += adaptation.length;
+      }
+
+      payload.copy(packet, position, offset, offset + space);
+      offset += space;
+      packets.push(packet);
+    }
+
+    return packets;
+  }
+
+  writeHeader(packet, pid, payloadStart, adaptationControl) {
+    const counter = this.continuity.get(pid) || 0;
+    this.continuity.set(pid, (counter + 1) & 0x0f);
+
+    packet[0] = 0x47;
+    packet[1] = (payloadStart ? 0x40 : 0x00) | ((pid >> 8) & 0x1f);
+    packet[2] = pid & 0xff;
+    packet[3] = adaptationControl | counter;
+  }
+
+  encodePCR(pts) {
+    return [
+      byteAt(pts, 25),
+      byteAt(pts, 17),
+      byteAt(pts, 9),
+      byteAt(pts, 1),
+      ((pts & 0x01) << 7) | 0x7e,
+      0x00
+    ];
+  }
+}
@@ -0,0 +1,82 @@
+// Splits an Ogg/Opus byte stream into pages. The header pages (OpusHead and
+// OpusTags, granule position 0) are flagged: every listener needs them before
+// any audio page, however late it joins.
+
+const CAPTURE = Buffer.from('OggS');
+const HEADER_SIZE = 27;
+const OPUS_RATE = 48000; // Opus granule positions always count 48 kHz samples
+
+export class OggPageParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.granule = 0;
+  }
+
+  static parseHeader(buffer, offset = 0) {
+    if (buffer.length - offset < HEADER_SIZE) return null;
+    if (buffer.compare(CAPTURE, 0, 4, offset, offset + 4) !== 0 || buffer[offset + 4] !== 0) return null;
+
+    const segments = buffer[offset + 26];
+    if (buffer.length - offset < HEADER_SIZE + segments) return null;
+
+    let bodyLength = 0;
+    for (let i = 0; i < segments; i++) {
+      bodyLength += buffer[offset + HEADER_SIZE + i];
+    }
+
+    return {
+      beginsStream: (buffer[offset + 5] & 0x02) !== 0,
+      granule: buffer.readBigInt64LE(offset + 6),
+      pageLength: HEADER_SIZE + segments + bodyLength
+    };
+  }
+
+  // Returns the complete pages contained in the buffered data plus this chunk
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const pages = [];
+    let offset = 0;
+
+    while (offset + HEADER_SIZE <= this.buffer.length) {
+      const synced = this.buffer.compare(CAPTURE, 0, 4, offset, offset + 4) === 0;
+      if (!synced || this.buffer[offset + 4] !== 0) {
+        offset = this.skipToNextSync(offset + 1);
+        continue;
+      }
+
+      // The rest of the page has not arrived yet
+      const header = OggPageParser.parseHeader(this.buffer, offset);
+      if (!header || offset + header.pageLength > this.buffer.length) break;
+
+      // A new logical stream (encoder restart) starts counting from zero
+      if (header.beginsStream) this.granule = 0;
+
+      // -1: no packet ends on this page, its audio is counted with the next one
+      const granule = header.granule < 0n ? null : Number(header.granule);
+      const isHeader = granule === 0;
+      const samples = granule === null || isHeader ? 0 : Math.max(0, granule - this.granule);
+      if (granule !== null) this.granule = granule;
+
+      pages.push({
+        data: this.buffer.subarray(offset, offset + header.pageLength),
+        sampleRate: OPUS_RATE,
+        samples,
+        header: isHeader
+      });
+      offset += header.pageLength;
+    }
+
+    this.buffer = Buffer.from(this.buffer.subarray(offset));
+    return pages;
+  }
+
+  skipToNextSync(offset) {
+    const next = this.buffer.indexOf(CAPTURE, offset);
+    return next === -1 ? Math.max(offset, this.buffer.length - 3) : next;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+    this.granule = 0;
+  }
+}
@@ -0,0 +1,135 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { AdtsFrameParser } from './AdtsFrameParser.js';
+import { Mp3FrameParser } from './Mp3FrameParser.js';
+import { OggPageParser } from './OggPageParser.js';
+
+// What each output format needs from ffmpeg and how its stream is split
+export const OUTPUT_FORMATS = {
+  mp3: {
+    contentType: 'audio/mpeg',
+    createParser: () => new Mp3FrameParser(),
+    args: bitrate => [
+      '-f', 'mp3',
+      '-acodec', 'libmp3lame',
+      '-b:a', bitrate,
+      '-write_xing', '0', // No VBR header, this is an endless stream
+      '-id3v2_version', '0'
+    ]
+  },
+  aac: {
+    contentType: 'audio/aac',
+    createParser: () => new AdtsFrameParser(),
+    args: bitrate => ['-f', 'adts', '-acodec', 'aac', '-b:a', bitrate]
+  },
+  opus: {
+    contentType: 'audio/ogg',
+    createParser: () => new OggPageParser(),
+    args: bitrate => [
+      '-f', 'ogg',
+      '-acodec', 'libopus',
+      '-b:a', bitrate,
+      '-page_duration', '100000' // µs, short pages keep latency down
+    ]
+  }
+};
+
+// One long-lived encoder per output: raw program PCM in, whole frames (or
+// Ogg pages) out. Restarts itself if ffmpeg dies so listeners never lose
+// the connection.
+export class OutputEncoder extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      format: config.format || 'mp3',
+      bitrate: config.bitrate || '128k',
+      sampleRate: String(config.sampleRate || '44100'),
+      channels: String(config.channels || '2'),
+      limiter: config.limiter || false,
+      limiterCeiling: config.limiterCeiling ?? -1 // dBFS
+    };
+    this.restartDelay = 1000;
+
+    this.process = null;
+    this.parser = OUTPUT_FORMATS[this.config.format].createParser();
+    this.stopping = false;
+    this.bytesEncoded = 0;
+  }
+
+  buildArgs() {
+    const args = [
+      '-hide_banner',
+      '-f', 's16le',
+      '-ar', this.config.sampleRate,
+      '-ac', this.config.channels,
+      '-i', 'pipe:0'
+    ];
+
+    // Brickwall safety net on the whole program
+    if (this.config.limiter) {
+      const limit = Math.pow(10, this.config.limiterCeiling / 20).toFixed(4);
+      args.push('-af', `alimiter=limit=${limit}:attack=5:release=50:level=false`);
+    }
+
+    args.push(
+      ...OUTPUT_FORMATS[this.config.format].args(this.config.bitrate),
+      '-flush_packets', '1',
+      'pipe:1'
+    );
+
+    return args;
+  }
+
+  start() {
+    this.stopping = false;
+    this.parser.reset();
+    this.process = spawn('ffmpeg', this.buildArgs());
+    this.emit('start'); // a fresh stream, e.g. after a crash
+
+    this.process.stdout.on('data', (chunk) => {
+      this.bytesEncoded += chunk.length;
+      for (const frame of this.parser.push(chunk)) {
+        this.emit('frame', frame.data, frame.samples / frame.sampleRate, Boolean(frame.header));
+      }
+    });
+
+    this.process.stderr.on('data', (data) => {
+      const output = data.toString();
+      if (output.includes('Error') || output.includes('Failed')) {
+        console.error('Encoder error:', output.trim());
+      }
+    });
+
+    // Writes after a crash would otherwise throw EPIPE
+    this.process.stdin.on('error', () => {});
+
+    this.process.on('close', (code) => {
+      this.process = null;
+      if (this.stopping) return;
+
+      console.error(`${this.config.format} encoder exited with code ${code}, restarting`);
+      setTimeout(() => {
+        if (!this.stopping) this.start();
+      }, this.restartDelay);
+    });
+
+    this.process.on('error', (error) => {
+      console.error('Output encoder spawn error:', error.message);
+    });
+  }
+
+  write(pcm) {
+    if (this.process && this.process.stdin.writable) {
+      this.process.stdin.write(pcm);
+    }
+  }
+
+  stop() {
+    this.stopping = true;
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill('SIGTERM');
+      this.process = null;
+    }
+  }
+}
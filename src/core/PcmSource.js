@@ -0,0 +1,120 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+
+// Decodes one program item to raw PCM and hands it out on demand. The decoder
+// runs ahead of real time only by a small buffer, the ProgramFeed paces it.
+export class PcmSource extends EventEmitter {
+  constructor(inputArgs, options = {}) {
+    super();
+    this.inputArgs = inputArgs;
+    this.sampleRate = parseInt(options.sampleRate || 44100, 10);
+    this.channels = parseInt(options.channels || 2, 10);
+    this.filters = options.filters || [];
+    this.bytesPerSecond = this.sampleRate * this.channels * 2;
+    this.highWaterMark = Math.floor(this.bytesPerSecond * (options.bufferSeconds || 5));
+
+    this.process = null;
+    this.chunks = [];
+    this.buffered = 0;
+    this.bytesRead = 0;
+    this.exited = false;
+    this.exitCode = null;
+    this.stopped = false; // stopped on purpose, its exit code means nothing
+  }
+
+  start() {
+    const ffmpegArgs = [
+      '-hide_banner',
+      ...this.inputArgs,
+      '-vn',
+      '-map_metadata', '-1'
+    ];
+
+    if (this.filters.length > 0) {
+      ffmpegArgs.push('-af', this.filters.join(','));
+    }
+
+    ffmpegArgs.push(
+      '-f', 's16le',
+      '-acodec', 'pcm_s16le',
+      '-ar', String(this.sampleRate),
+      '-ac', String(this.channels),
+      'pipe:1'
+    );
+
+    this.process = spawn('ffmpeg', ffmpegArgs);
+
+    this.process.stdout.on('data', (chunk) => {
+      this.chunks.push(chunk);
+      this.buffered += chunk.length;
+
+      // Let the decoder rest once it is far enough ahead
+      if (this.buffered >= this.highWaterMark) {
+        this.process.stdout.pause();
+      }
+    });
+
+    this.process.on('close', (code) => {
+      this.exited = true;
+      this.exitCode = code;
+      this.emit('exit', code);
+    });
+
+    this.process.on('error', (error) => {
+      this.exited = true;
+      this.emit('error', error);
+    });
+
+    return this;
+  }
+
+  // Returns up to `size` bytes, fewer if the decoder has not caught up yet
+  read(size) {
+    // Never split a sample frame, the feed pads the rest with silence
+    const blockAlign = this.channels * 2;
+    const available = this.buffered - (this.buffered % blockAlign);
+    const parts = [];
+    let remaining = Math.min(size, available);
+
+    while (remaining > 0 && this.chunks.length > 0) {
+      const chunk = this.chunks[0];
+      if (chunk.length <= remaining) {
+        parts.push(chunk);
+        this.chunks.shift();
+        remaining -= chunk.length;
+      } else {
+        parts.push(chunk.subarray(0, remaining));
+        this.chunks[0] = chunk.subarray(remaining);
+        remaining = 0;
+      }
+    }
+
+    const data = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+    this.buffered -= data.length;
+    this.bytesRead += data.length;
+
+    if (this.process && !this.exited && this.buffered < this.highWaterMark / 2) {
+      this.process.stdout.resume();
+    }
+
+    return data;
+  }
+
+  // Seconds of audio handed out so far
+  get position() {
+    return this.bytesRead / this.bytesPerSecond;
+  }
+
+  get finished() {
+    return this.exited && this.buffered < this.channels * 2;
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.process && !this.exited) {
+      this.process.kill('SIGTERM');
+    }
+    this.chunks = [];
+    this.buffered = 0;
+  }
+}
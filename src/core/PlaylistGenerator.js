@@ -1,9 +1,46 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RotationRules } from './RotationRules.js';
+import { AdCampaigns } from './AdCampaigns.js';
+import { TextToSpeech } from '../services/TextToSpeech.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Recorded clips to use while a library has none for the newer weather types
+const WEATHER_FALLBACKS = { STORM: 'RAIN', SNOW: 'CLOUDY', HEAT: 'SUN' };
+
+const averageDuration = items => items.length > 0
+  ? items.reduce((total, item) => total + (item.duration || 0), 0) / items.length
+  : 0;
+
 export class PlaylistGenerator {
-  constructor(audioLibrary) {
+  constructor(audioLibrary, options = {}) {
     this.audioLibrary = audioLibrary;
-    this.lastPlayedMusic = [];
-    this.maxHistorySize = 20;
-}
+    this.rotation = new RotationRules({
+      configFile: options.rotationFile || path.join(__dirname, '../../config/rotation.json'),
+      historyFile: options.historyFile || path.join(__dirname, '../../data/play-history.json')
+    });
+    this.campaigns = new AdCampaigns(audioLibrary, {
+      configFile: options.campaignsFile || path.join(__dirname, '../../config/campaigns.json'),
+      asRunLog: options.asRunLog
+    });
+    this.tts = new TextToSpeech({
+      configFile: options.ttsFile || path.join(__dirname, '../../config/tts.json'),
+      cachePath: options.ttsCachePath || path.join(__dirname, '../../data/tts'),
+      station: options.stationName,
+      analyzer: audioLibrary.analyzer
+    });
+    this.heatThreshold = options.heatThreshold ?? 30; // °C from which sunshine is a heat wave
+
+    this.audioLibrary.on('change', (change) => this.handleLibraryChange(change));
+  }
+
+  // Deleted tracks should not keep blocking others in the history
+  handleLibraryChange(change) {
+    if (change.removed.length === 0) return;
+    this.rotation.forget(change.removed);
+  }
 
 createTimeSegment(timeOfDay) {
     const timeAnnouncement = this.audioLibrary.getRandomDJTime(timeOfDay);
@@ -14,40 +51,194 @@ createTimeSegment(timeOfDay) {
     return timeAnnouncement;
   }
 
-  generatePlaylist(count = 10) {
-    const playlist = [];
-    
-    for (let i = 0; i < count; i++) {
-      // Vary content type based on position and randomization
-      const contentType = this.determineContentType(i);
-      
-      switch (contentType) {
-        case 'music-with-intro':
-          const introSequence = this.createMusicWithIntro();
-          playlist.push(...introSequence);
-          break;
-        case 'music-with-outro':
-          const outroSequence = this.createMusicWithOutro();
-          playlist.push(...outroSequence);
-          break;
-        case 'music-solo':
-          playlist.push(this.createMusic());
-          break;
-        case 'dj-solo':
-          playlist.push(this.createDJSolo());
-          break;
-        case 'jingle':
-          playlist.push(this.createJingle());
-          break;
-        case 'station-id':
-          playlist.push(this.createStationID());
-          break;
-        default:
-          playlist.push(this.createMusic());
+  // The recorded greeting for the time of day, then the actual time spoken
+  async createSpokenTimeSegment(time = Date.now()) {
+    const timeOfDay = this.getTimeOfDay(time);
+    const spoken = await this.tts.announce('time', {
+      time: new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+      timeOfDay: timeOfDay.toLowerCase()
+    });
+    if (!spoken) return this.createTimeSegment(timeOfDay);
+
+    const greeting = this.audioLibrary.getRandomDJTime(timeOfDay);
+    return this.createGaplessSequence(greeting ? [greeting, spoken] : [spoken]);
+  }
+
+  // Lays out one clock hour from `cursor` on. Music fills the time up to each
+  // timed slot and up to the top of the next hour. With `joinLate`, slots the
+  // hour has already passed are skipped (starting up mid-hour).
+  generateHour(clock, hourStart, cursor = hourStart, { joinLate = false, tolerance = 5000 } = {}) {
+    const entries = [];
+    const hourEnd = hourStart + 60 * 60 * 1000;
+    let first = 0;
+
+    if (joinLate) {
+      clock.slots.forEach((slot, index) => {
+        if (slot.at !== null && hourStart + slot.at <= cursor) first = index + 1;
+      });
+    }
+
+    for (const slot of clock.slots.slice(first)) {
+      if (slot.hard) {
+        cursor = this.backtimeUntil(entries, cursor, hourStart + slot.at, tolerance);
+      } else if (slot.at !== null) {
+        cursor = this.fillMusicUntil(entries, cursor, hourStart + slot.at);
+      }
+
+      for (let i = 0; i < slot.count; i++) {
+        const content = this.createSlotContent(slot.type, cursor);
+        // Intro/outro pairs go in flat like before, segments stay grouped
+        const slotEntries = slot.type.startsWith('music-with-') ? content : [content];
+
+        if (slot.at !== null && i === 0) {
+          const firstItem = Array.isArray(slotEntries[0]) ? slotEntries[0][0] : slotEntries[0];
+          if (firstItem) {
+            firstItem.targetTime = hourStart + slot.at;
+            firstItem.hard = slot.hard;
+          }
+        }
+
+        for (const entry of slotEntries) {
+          entries.push(entry);
+          cursor += this.getEntryDuration(entry);
+        }
+      }
+    }
+
+    cursor = this.fillMusicUntil(entries, cursor, hourEnd);
+    console.log(`🕐 Clock "${clock.name}" for ${new Date(hourStart).getHours()}:00, ${entries.length} entries`);
+    return { entries, end: cursor };
+  }
+
+  // Adds songs while each one ends closer to `target` than leaving the gap would
+  fillMusicUntil(entries, cursor, target) {
+    while (cursor < target) {
+      const music = this.createMusic(cursor);
+      if (!music.path || !music.duration || cursor + music.duration / 2 > target) {
+        if (music.path) this.removeFromHistory(music);
+        break;
       }
+
+      entries.push(music);
+      cursor += music.duration;
+    }
+    return cursor;
+  }
+
+  // Picks songs that fit the gap before a hard event. If none closes it, one
+  // more song runs over and gets faded when the event starts.
+  backtimeUntil(entries, cursor, target, tolerance) {
+    while (target - cursor > tolerance) {
+      const music = this.createMusicToFit(target - cursor, tolerance, cursor) || this.createMusic(cursor);
+      if (!music.path || !music.duration) break;
+
+      entries.push(music);
+      cursor += music.duration;
+    }
+    return Math.min(cursor, target);
+  }
+
+  // A song no longer than `maxDuration` that passes every rotation rule,
+  // preferring one that closes the gap within `tolerance`. Null when none does.
+  createMusicToFit(maxDuration, tolerance = 0, time = Date.now()) {
+    const fitting = this.audioLibrary.library.music.filter(music => music.duration && music.duration <= maxDuration);
+    const closing = fitting.filter(music => maxDuration - music.duration <= tolerance);
+
+    const track = this.rotation.pick(closing, time, { strict: true })
+      || this.rotation.pick(fitting, time, { strict: true });
+    if (!track) return null;
+
+    const music = { ...track, startTime: Date.now() };
+    this.rotation.record(music, time);
+    return music;
+  }
+
+  // Something to play when a hard event is still `gap` ms away
+  createFiller(gap) {
+    const music = this.createMusicToFit(gap);
+    if (music) return music;
+
+    const library = this.audioLibrary.library;
+    const fitting = [...library.jingles, ...library.dj.ids, ...library.dj.solos]
+      .filter(item => item.duration && item.duration <= gap)
+      .sort((a, b) => b.duration - a.duration);
+    if (fitting.length > 0) {
+      return { ...fitting[0], startTime: Date.now() };
+    }
+
+    return this.createMusic();
+  }
+
+  createSlotContent(type, time) {
+    switch (type) {
+      case 'music-with-intro':
+        return this.createMusicWithIntro(time);
+      case 'music-with-outro':
+        return this.createMusicWithOutro(time);
+      case 'station-id':
+        return this.createStationID();
+      case 'jingle':
+        return this.createJingle();
+      case 'dj-solo':
+        return this.createDJSolo();
+      case 'time':
+        return this.tts.enabled
+          ? this.createTimePlaceholder(time)
+          : this.createTimeSegment(this.getTimeOfDay(time));
+      case 'weather':
+        return this.createWeatherPlaceholder();
+      case 'ad-break':
+        return this.createAdSegment(time);
+      default:
+        return this.createMusic(time);
     }
+  }
+
+  // Weather is read when the slot goes on air, not an hour ahead
+  createWeatherPlaceholder() {
+    const { dj } = this.audioLibrary.library;
+    const estimate = averageDuration(dj.transitions.TO_WEATHER) + averageDuration(Object.values(dj.weather).flat()) +
+      (this.tts.enabled ? 4000 : 0);
+
+    return {
+      path: null,
+      title: 'Weather',
+      type: 'weather',
+      placeholder: 'weather',
+      duration: Math.round(estimate) || 30000,
+      startTime: null
+    };
+  }
+
+  // A spoken time is only right when rendered as it goes on air
+  createTimePlaceholder(time) {
+    const clips = this.audioLibrary.library.dj.timeOfDay[this.getTimeOfDay(time)] || [];
+
+    return {
+      path: null,
+      title: 'Time',
+      type: 'time',
+      placeholder: 'time',
+      duration: Math.round(averageDuration(clips)) + 3000,
+      startTime: null
+    };
+  }
+
+  getEntryDuration(entry) {
+    return Array.isArray(entry)
+      ? entry.reduce((total, item) => total + (item.duration || 0), 0)
+      : entry.duration || 0;
+  }
+
+  getTimeOfDay(time = Date.now()) {
+    const hour = new Date(time).getHours();
+    let timeOfDay = 'MORNING';
     
-    return playlist;
+    if (hour >= 12 && hour < 18) timeOfDay = 'AFTERNOON';
+    else if (hour >= 18 && hour < 22) timeOfDay = 'EVENING';
+    else if (hour >= 22 || hour < 6) timeOfDay = 'NIGHT';
+
+    return timeOfDay;
   }
 
   // Create gapless sequences for tight transitions
@@ -69,58 +260,66 @@ createTimeSegment(timeOfDay) {
     return items;
   }
 
-  determineContentType(position) {
-    const rand = Math.random();
-    
-    // Station ID every 5-7 tracks
-    if (position > 0 && position % (5 + Math.floor(Math.random() * 3)) === 0) {
-      return 'station-id';
-    }
-    
-    // Jingle occasionally
-    if (rand < 0.1) return 'jingle';
-    
-    // DJ solo occasionally
-    if (rand < 0.15) return 'dj-solo';
-    
-    // Music with intro/outro commentary
-    if (rand < 0.3) return 'music-with-intro';
-    if (rand < 0.4) return 'music-with-outro';
-    
-    // Default to solo music
-    return 'music-solo';
-  }
+  // Rotation picks the track, relaxing its rules rather than giving up
+  createMusic(time = Date.now()) {
+    const track = this.rotation.pick(this.audioLibrary.library.music, time);
+    if (!track) return this.createFallbackItem();
 
-  createMusic() {
-    const music = this.audioLibrary.getRandomMusic();
-    if (!music) return this.createFallbackItem();
-    
-    // Avoid recently played tracks
-    if (this.wasRecentlyPlayed(music.title)) {
-      return this.createMusic(); // Try again
-    }
-    
-    this.addToHistory(music.title);
-    music.startTime = Date.now();
+    const music = { ...track, startTime: Date.now() };
+    this.rotation.record(music, time);
     return music;
   }
 
-  createMusicWithIntro() {
+  createMusicWithIntro(time = Date.now()) {
+    return this.introduceMusic(this.createMusic(time));
+  }
+
+  // A listener request, with a DJ intro when it comes with a dedication
+  createRequestedMusic(item, request) {
+    const music = { ...item, startTime: Date.now(), request };
+    this.rotation.record(music);
+
+    return request.dedications.length > 0 ? this.introduceMusic(music) : [music];
+  }
+
+  introduceMusic(music) {
     const intro = this.audioLibrary.getRandomDJIntro();
-    const music = this.createMusic();
     
     if (!intro) return [music];
+
+    // Talk over the instrumental intro, finishing right as the vocals come in
+    const talkUpTo = music.cues?.vocalStart ?? music.cues?.intro;
+    if (talkUpTo && intro.duration <= talkUpTo) {
+      music.voiceOvers = [{ item: intro, at: talkUpTo - intro.duration }];
+      return [music];
+    }
     
     // Create gapless sequence for tight transition
     const sequence = this.createGaplessSequence([intro, music]);
     return sequence;
   }
 
-  createMusicWithOutro() {
-    const music = this.createMusic();
-    const outro = this.audioLibrary.getRandomDJOutro();
-    
+  createMusicWithOutro(time = Date.now()) {
+    const music = this.createMusic(time);
+    const recorded = this.audioLibrary.getRandomDJOutro();
+
+    // A spoken back-announce is rendered while the item waits in the queue
+    const spoken = music.type === 'music' && (!recorded || Math.random() < this.tts.backAnnounceChance)
+      ? this.tts.prepare('backAnnounce', { artist: music.artist, title: music.title, album: music.album })
+      : null;
+    if (spoken) spoken.announces = music.path; // dropped with its song, see RadioScheduler
+    const outro = spoken || recorded;
+
     if (!outro) return [music];
+
+    // Talk over the fading end of the song, then segue once the DJ is done.
+    // Not for spoken ones: their length is only known once rendered.
+    if (!spoken && music.cues?.outroFade && outro.duration < music.duration) {
+      const at = Math.min(music.cues.outroFade, music.duration - outro.duration);
+      music.voiceOvers = [{ item: outro, at }];
+      music.segueAt = at + outro.duration;
+      return [music];
+    }
     
     // Create gapless sequence for tight transition
     const sequence = this.createGaplessSequence([music, outro]);
@@ -151,7 +350,17 @@ createTimeSegment(timeOfDay) {
     return id;
   }
 
-  createWeatherSegment(weatherData) {
+  // What stays on air while automation is paused
+  createHoldingItem() {
+    const library = this.audioLibrary.library;
+    const item = this.audioLibrary.getRandomFrom([...library.jingles, ...library.dj.ids]);
+    if (!item) return this.createFallbackItem();
+
+    item.startTime = Date.now();
+    return item;
+  }
+
+  async createWeatherSegment(weatherData, alerts = []) {
     const segment = [];
     
     // Transition to weather
@@ -159,10 +368,24 @@ createTimeSegment(timeOfDay) {
     if (transition) {
       segment.push(transition);
     }
+
+    // Severe weather is mentioned first
+    if (alerts.length > 0) {
+      const warning = await this.tts.announce('alert', { ...weatherData, event: alerts[0].event });
+      if (warning) segment.push(warning);
+    }
+
+    // The actual figures spoken, before the recorded clip for the conditions
+    const report = await this.tts.announce('weather', weatherData);
+    if (report) {
+      report.weatherInfo = weatherData;
+      segment.push(report);
+    }
     
     // Weather announcement based on conditions
-    const weatherType = this.mapWeatherToType(weatherData.condition);
-    const weatherAnnouncement = this.audioLibrary.getRandomDJWeather(weatherType);
+    const weatherType = this.mapWeatherToType(weatherData);
+    const weatherAnnouncement = this.audioLibrary.getRandomDJWeather(weatherType) ||
+      this.audioLibrary.getRandomDJWeather(WEATHER_FALLBACKS[weatherType]);
     
     if (weatherAnnouncement) {
       weatherAnnouncement.weatherInfo = weatherData;
@@ -177,7 +400,7 @@ createTimeSegment(timeOfDay) {
     return segment.length > 0 ? segment : [this.createFallbackItem()];
   }
 
-  createAdSegment() {
+  createAdSegment(time = Date.now()) {
     const segment = [];
     
     // Transition to ad
@@ -186,15 +409,8 @@ createTimeSegment(timeOfDay) {
       segment.push(transition);
     }
     
-    // Ad content (could be multiple ads)
-    const adCount = Math.floor(Math.random() * 2) + 1; // 1-2 ads
-    
-    for (let i = 0; i < adCount; i++) {
-      const ad = this.audioLibrary.getRandomAd();
-      if (ad) {
-        segment.push(ad);
-      }
-    }
+    // Campaign spots and unsold fillers up to the break length
+    segment.push(...this.campaigns.buildBreak(time));
     
     // Create gapless sequence for ad block
     if (segment.length > 1) {
@@ -204,9 +420,14 @@ createTimeSegment(timeOfDay) {
     return segment.length > 0 ? segment : [this.createFallbackItem()];
   }
 
-  mapWeatherToType(condition) {
-    const conditionLower = condition.toLowerCase();
-    
+  // HEAT goes by the temperature (on a dry day), everything else by the
+  // reported condition
+  mapWeatherToType(weather) {
+    const conditionLower = (weather.condition || '').toLowerCase();
+    
+    if (conditionLower.includes('thunder') || conditionLower.includes('storm')) return 'STORM';
+    if (conditionLower.includes('snow') || conditionLower.includes('sleet')) return 'SNOW';
+    if (weather.temperature >= this.heatThreshold && !/rain|shower|drizzle|fog|mist/.test(conditionLower)) return 'HEAT';
     if (conditionLower.includes('sun') || conditionLower.includes('clear')) return 'SUN';
     if (conditionLower.includes('wind')) return 'WIND';
     if (conditionLower.includes('rain') || conditionLower.includes('shower')) return 'RAIN';
@@ -216,15 +437,13 @@ createTimeSegment(timeOfDay) {
     return 'CLOUDY'; // Default fallback
   }
 
-  wasRecentlyPlayed(title) {
-    return this.lastPlayedMusic.includes(title);
+  // Whether playing `item` now would break the title separation
+  wasRecentlyPlayed(item, time = Date.now()) {
+    return this.rotation.violates(item, time, ['title']) !== null;
   }
 
-  addToHistory(title) {
-    this.lastPlayedMusic.push(title);
-    if (this.lastPlayedMusic.length > this.maxHistorySize) {
-      this.lastPlayedMusic.shift();
-    }
+  removeFromHistory(item) {
+    this.rotation.unrecord(item);
   }
 
   createFallbackItem() {
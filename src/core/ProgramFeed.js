@@ -0,0 +1,185 @@
+import { EventEmitter } from 'events';
+
+// Highest absolute sample value in a block of s16le PCM
+export function peakLevel(pcm) {
+  let peak = 0;
+  for (let i = 0; i + 1 < pcm.length; i += 2) {
+    const sample = Math.abs(pcm.readInt16LE(i));
+    if (sample > peak) peak = sample;
+  }
+  return peak;
+}
+
+// Real-time PCM clock for the station. Pulls decoded audio from the current
+// source at exactly the output sample rate and fills gaps with silence, so the
+// output encoder sees one continuous program. Outgoing sources keep fading
+// underneath the new one, and overlays (DJ talk-over) duck the main source.
+export class ProgramFeed extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.sampleRate = parseInt(options.sampleRate || 44100, 10);
+    this.channels = parseInt(options.channels || 2, 10);
+    this.blockAlign = this.channels * 2;
+    this.bytesPerSecond = this.sampleRate * this.blockAlign;
+    this.tickInterval = options.tickInterval || 40; // ms
+
+    // Ducking under talk-over
+    this.duckGain = Math.pow(10, (options.duckLevel ?? -12) / 20);
+    this.duckStep = 1 / (this.sampleRate * (options.duckRamp || 300) / 1000);
+    this.mainGain = 1;
+
+    this.source = null;
+    this.outgoing = []; // { source, gain, step }
+    this.overlays = [];
+    this.timer = null;
+    this.startedAt = 0;
+    this.bytesSent = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.startedAt = Date.now();
+    this.bytesSent = 0;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.clearSource();
+    this.clearOverlays();
+    this.outgoing.forEach(layer => layer.source.stop());
+    this.outgoing = [];
+  }
+
+  setSource(source) {
+    this.clearSource();
+    this.source = source;
+  }
+
+  clearSource() {
+    if (this.source) {
+      this.source.stop();
+      this.source = null;
+    }
+  }
+
+  // Keep the current source playing underneath while it fades to silence
+  fadeOutSource(duration) {
+    if (!this.source) return;
+
+    const samples = Math.max(1, this.sampleRate * duration / 1000);
+    this.outgoing.push({ source: this.source, gain: this.mainGain, step: this.mainGain / samples });
+    this.source = null;
+  }
+
+  addOverlay(source) {
+    this.overlays.push(source);
+  }
+
+  clearOverlays() {
+    this.overlays.forEach(source => source.stop());
+    this.overlays = [];
+  }
+
+  tick() {
+    const elapsed = Date.now() - this.startedAt;
+    let due = Math.floor(elapsed * this.bytesPerSecond / 1000) - this.bytesSent;
+
+    // After a long stall (suspend, debugger) resync instead of bursting
+    if (due > this.bytesPerSecond * 2) {
+      this.startedAt = Date.now();
+      this.bytesSent = 0;
+      due = Math.floor(this.bytesPerSecond * this.tickInterval / 1000);
+    }
+
+    due -= due % this.blockAlign;
+    if (due <= 0) return;
+
+    const parts = [];
+    let remaining = due;
+
+    while (this.source && remaining > 0) {
+      const data = this.source.read(remaining);
+      parts.push(data);
+      remaining -= data.length;
+
+      if (remaining === 0 || !this.source.finished) break;
+
+      // Listeners may hand over the next source right away, keeping it gapless
+      const finished = this.source;
+      this.source = null;
+      this.emit('sourceended', finished);
+    }
+
+    if (remaining > 0) {
+      parts.push(Buffer.alloc(remaining));
+    }
+
+    let pcm = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+
+    const mixing = this.outgoing.length > 0 || this.overlays.length > 0 || this.mainGain !== 1;
+    if (mixing) {
+      pcm = this.mix(pcm);
+    }
+
+    this.bytesSent += due;
+    this.emit('data', pcm);
+  }
+
+  mix(main) {
+    const samples = main.length / 2;
+    const mixed = new Float32Array(samples);
+    const targetGain = this.overlays.length > 0 ? this.duckGain : 1;
+
+    // Main source, ramping towards the ducked or full level
+    for (let i = 0; i < samples; i++) {
+      if (i % this.channels === 0 && this.mainGain !== targetGain) {
+        this.mainGain = this.mainGain > targetGain
+          ? Math.max(targetGain, this.mainGain - this.duckStep)
+          : Math.min(targetGain, this.mainGain + this.duckStep);
+      }
+      mixed[i] = main.readInt16LE(i * 2) * this.mainGain;
+    }
+
+    this.outgoing = this.outgoing.filter(layer => {
+      const data = layer.source.read(main.length);
+      for (let i = 0; i < data.length / 2; i++) {
+        if (i % this.channels === 0) {
+          layer.gain = Math.max(0, layer.gain - layer.step);
+        }
+        mixed[i] += data.readInt16LE(i * 2) * layer.gain;
+      }
+
+      if (layer.gain <= 0 || layer.source.finished) {
+        layer.source.stop();
+        return false;
+      }
+      return true;
+    });
+
+    this.overlays = this.overlays.filter(source => {
+      const data = source.read(main.length);
+      for (let i = 0; i < data.length / 2; i++) {
+        mixed[i] += data.readInt16LE(i * 2);
+      }
+
+      if (source.finished) {
+        source.stop();
+        this.emit('overlayended', source);
+        return false;
+      }
+      return true;
+    });
+
+    const output = Buffer.alloc(main.length);
+    for (let i = 0; i < samples; i++) {
+      const value = Math.round(mixed[i]);
+      output.writeInt16LE(value > 32767 ? 32767 : value < -32768 ? -32768 : value, i * 2);
+    }
+    return output;
+  }
+}
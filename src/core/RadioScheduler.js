@@ -1,70 +1,227 @@
-import cron from 'node-cron';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { AudioLibrary } from './AudioLibrary.js';
+import { ClockSchedule } from './ClockSchedule.js';
 import { PlaylistGenerator } from './PlaylistGenerator.js';
+import { describeRequest } from './ListenerRequests.js';
+import { appendJsonLine } from './jsonFiles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 export class RadioScheduler {
-  constructor(weatherService, streamManager) {
+  constructor(weatherService, streamManager, options = {}) {
     this.weatherService = weatherService;
     this.streamManager = streamManager;
-    this.audioLibrary = new AudioLibrary();
-    this.playlistGenerator = new PlaylistGenerator(this.audioLibrary);
+    this.audioLibrary = new AudioLibrary({
+      audioPath: options.audioPath,
+      rulesFile: options.rulesFile,
+      cacheFile: options.cacheFile
+    });
+    this.playlistGenerator = new PlaylistGenerator(this.audioLibrary, {
+      rotationFile: options.rotationFile,
+      historyFile: options.historyFile,
+      campaignsFile: options.campaignsFile,
+      asRunLog: options.asRunLog,
+      ttsFile: options.ttsFile,
+      ttsCachePath: options.ttsCachePath,
+      stationName: options.stationName
+    });
+    this.clockSchedule = new ClockSchedule(options.clocksFile || path.join(__dirname, '../../config/clocks.json'));
+    this.lookahead = options.lookahead || 20 * 60 * 1000; // programming kept queued
+    this.nextHour = null; // start of the next clock hour to lay out
+
+    // Hard-timed clock slots
+    this.hardEventTolerance = options.hardEventTolerance ?? 5000; // ms either side
+    this.hardEventTimer = null;
+    this.hardEventLog = [];
+    this.maxHardEventLog = 200;
+    this.timingLogFile = options.timingLogFile || path.join(__dirname, '../../data/hard-events.jsonl');
     
     this.currentTrack = null;
     this.isPlaying = false;
     this.queue = [];
     this.schedule = [];
+    this.currentSequence = null;
+    this.paused = false; // operator hold, a loop of jingles/IDs stays on air
+    this.live = false; // a DJ's live source is on air, automation waits
+    this.buildingPlaceholder = null; // the slot being built for air, the queue must not move meanwhile
+    this.segmentTimeout = options.segmentTimeout || 20000; // to build a weather or time segment
+    this.queueSequence = 0;
+    this.watchdog = null;
+    this.watchdogMargin = 15000; // grace period past the expected end
+    this.maxItemDuration = 15 * 60 * 1000; // watchdog for items with unknown length
+
+    // Items inside a gapless sequence change without the scheduler's involvement
+    this.streamManager.on('trackchange', (track) => {
+      this.currentTrack = track;
+      if (track?.type === 'music' && track.path) {
+        this.playlistGenerator.rotation.markAired(track);
+      }
+      if (track?.campaignId) {
+        this.playlistGenerator.campaigns.markAired(track);
+      }
+    });
+
+    // Files deleted from disk must not reach air
+    this.audioLibrary.on('change', (change) => {
+      this.removeFromQueue(change.removed);
+    });
+
+    // A spoken clip queued ahead of air that could not be rendered
+    this.playlistGenerator.tts.on('failed', (item) => {
+      this.removeFromQueue([item.path]);
+    });
+
+    // Advance only when the stream manager says the item really finished
+    this.streamManager.on('ended', () => {
+      this.handleItemEnded();
+    });
+
+    // Live shows interrupt automation, which picks up where it left off
+    this.streamManager.on('livestart', () => {
+      this.live = true;
+      this.clearWatchdog();
+      this.requeuePlaceholder();
+      if (this.currentSequence?.length > 0) {
+        this.queue.unshift(this.currentSequence);
+      }
+      this.currentSequence = null;
+    });
+    this.streamManager.on('liveend', () => {
+      this.live = false;
+      this.handleItemEnded();
+    });
   }
 
   async initialize() {
     console.log('🎵 Initializing Radio Scheduler...');
+    await this.clockSchedule.load();
+    await this.playlistGenerator.rotation.load();
     await this.audioLibrary.scanLibrary();
+    await this.playlistGenerator.campaigns.load();
+    await this.playlistGenerator.tts.load();
+    await this.audioLibrary.startWatching();
     this.generateInitialPlaylist();
-    this.setupCronJobs();
+    this.hardEventTimer = setInterval(() => this.checkHardEvents(), 500);
     console.log('✅ Radio Scheduler initialized');
   }
 
-  setupCronJobs() {
-    // Weather updates every hour
-    cron.schedule('0 * * * *', async () => {
-      await this.scheduleWeatherSegment();
-    });
+  generateInitialPlaylist() {
+    this.queue = [];
+    this.nextHour = null;
+    this.extendQueue();
+    this.scheduleNext();
+  }
 
-    // Time announcements
-    cron.schedule('0 6,12,18,22 * * *', () => {
-      this.scheduleTimeAnnouncement();
-    });
+  // Lays out clock hours until at least `lookahead` of programming is queued.
+  // Hours starting past the lookahead window wait: a short library fills
+  // little of each hour and would otherwise have the whole day laid out.
+  extendQueue() {
+    const hour = 60 * 60 * 1000;
+    let queued = this.getQueuedDuration();
 
-    // Ad breaks every 30 minutes
-    cron.schedule('*/30 * * * *', () => {
-      this.scheduleAdBreak();
-    });
+    while (queued < this.lookahead) {
+      const cursor = Date.now() + queued;
+
+      // First hour, or so far behind the clock that the planned hour is gone
+      const joinLate = this.nextHour === null || cursor >= this.nextHour + hour;
+      const hourStart = joinLate ? cursor - (cursor % hour) : this.nextHour;
+      if (hourStart > Date.now() + this.lookahead) break;
+
+      const clock = this.clockSchedule.getClock(hourStart);
+      const { entries, end } = this.playlistGenerator.generateHour(clock, hourStart, cursor, {
+        joinLate,
+        tolerance: this.hardEventTolerance
+      });
+      this.queue.push(...entries);
+      this.nextHour = hourStart + hour;
+
+      if (end <= cursor) break; // nothing to play, don't spin
+      queued += end - cursor;
+    }
   }
 
-  generateInitialPlaylist() {
-    this.queue = this.playlistGenerator.generatePlaylist(50);
-    this.scheduleNext();
+  // What is left of the current item plus everything queued, in ms
+  getQueuedDuration() {
+    const current = this.currentTrack?.duration
+      ? Math.max(0, this.currentTrack.duration - this.streamManager.getPosition())
+      : 0;
+    return this.queue.reduce((total, entry) => total + this.playlistGenerator.getEntryDuration(entry), current);
   }
 
   scheduleNext() {
-    if (this.queue.length === 0) {
-      this.queue = this.playlistGenerator.generatePlaylist(20);
+    this.clearWatchdog();
+    this.currentSequence = null;
+
+    this.extendQueue();
+
+    // Too early for a hard event: play something that fits the gap first
+    const target = this.getHardTarget(this.queue[0]);
+    if (target !== null && !this.paused && target - Date.now() > this.hardEventTolerance) {
+      this.queue.unshift(this.playlistGenerator.createFiller(target - Date.now()));
     }
 
     const nextItem = this.queue.shift();
-    
+
+    if (nextItem?.placeholder) {
+      this.playPlaceholder(nextItem);
+    } else {
+      this.playEntry(nextItem);
+    }
+  }
+
+  // Clock slots built at air time, e.g. weather with the current conditions.
+  // While it is built the previous item may end for real (after its segue):
+  // that 'ended' must not advance the queue a second time. A skip, or a build
+  // taking too long, gives up on the slot instead.
+  async playPlaceholder(placeholder) {
+    let entry = null;
+    this.buildingPlaceholder = placeholder;
+    this.watchdog = setTimeout(() => {
+      console.warn(`⚠️  ${placeholder.placeholder} segment not ready after ${this.segmentTimeout / 1000}s, skipping it`);
+      this.watchdog = null;
+      this.abandonPlaceholder();
+    }, this.segmentTimeout);
+
+    try {
+      entry = await this.createSegment(placeholder.placeholder);
+    } catch (error) {
+      console.error(`Failed to build ${placeholder.placeholder} segment:`, error);
+    }
+
+    // Given up on or put back meanwhile, the queue has moved on
+    if (this.buildingPlaceholder !== placeholder) return;
+    this.buildingPlaceholder = null;
+    this.clearWatchdog();
+
+    if (!entry) {
+      this.scheduleNext();
+      return;
+    }
+
+    const firstItem = Array.isArray(entry) ? entry[0] : entry;
+    if (placeholder.targetTime && firstItem) {
+      firstItem.targetTime = placeholder.targetTime;
+      firstItem.hard = placeholder.hard;
+    }
+    this.playEntry(entry);
+  }
+
+  playEntry(nextItem) {
+    const target = this.getHardTarget(nextItem);
+    if (target !== null) {
+      this.recordHardEvent(Array.isArray(nextItem) ? nextItem[0] : nextItem, target);
+    }
+
     if (Array.isArray(nextItem)) {
       // Handle gapless sequences
       this.currentTrack = nextItem[0];
       
       // Check if we can play this sequence gaplessly
-      if (this.streamManager.canPlayGapless && this.streamManager.canPlayGapless(nextItem)) {
+      if (this.streamManager.canPlayGapless(nextItem)) {
         this.streamManager.playGaplessSequence(nextItem);
-        
-        // Schedule next item after the entire sequence
-        const totalDuration = this.streamManager.getSequenceDuration(nextItem);
-        setTimeout(() => {
-          this.scheduleNext();
-        }, totalDuration);
+        this.startWatchdog(this.streamManager.getSequenceDuration(nextItem));
       } else {
         // Fallback to individual playback
         this.playSequenceIndividually(nextItem);
@@ -75,63 +232,293 @@ export class RadioScheduler {
       
       if (nextItem) {
         this.streamManager.playTrack(nextItem);
-        
-        // Schedule the next track
-        setTimeout(() => {
-          this.scheduleNext();
-        }, nextItem.duration);
+        this.startWatchdog(nextItem.duration);
       }
     }
   }
 
   playSequenceIndividually(sequence) {
+    this.clearWatchdog();
+
     if (sequence.length === 0) {
       this.scheduleNext();
       return;
     }
     
     const currentItem = sequence.shift();
+    this.currentSequence = sequence;
     this.streamManager.playTrack(currentItem);
-    
-    setTimeout(() => {
-      if (sequence.length > 0) {
-        this.playSequenceIndividually(sequence);
-      } else {
-        this.scheduleNext();
+    this.startWatchdog(currentItem.duration);
+  }
+
+  handleItemEnded() {
+    if (this.live || this.buildingPlaceholder) return;
+
+    if (this.paused) {
+      this.playHoldingItem();
+      return;
+    }
+
+    if (this.currentSequence && this.currentSequence.length > 0) {
+      this.playSequenceIndividually(this.currentSequence);
+    } else {
+      this.scheduleNext();
+    }
+  }
+
+  getHardTarget(entry) {
+    const first = Array.isArray(entry) ? entry[0] : entry;
+    return first?.hard && first.targetTime ? first.targetTime : null;
+  }
+
+  // Once a hard event is due, whatever plays is faded and anything queued
+  // before the event is dropped
+  checkHardEvents() {
+    if (this.paused || this.live || this.buildingPlaceholder) return;
+
+    const index = this.queue.findIndex(entry => this.getHardTarget(entry) !== null);
+    if (index === -1 || Date.now() < this.getHardTarget(this.queue[index])) return;
+
+    const dropped = this.queue.splice(0, index).flat();
+    dropped
+      .filter(item => item.type === 'music')
+      .forEach(item => this.playlistGenerator.removeFromHistory(item));
+
+    const cut = this.currentTrack ? `, cutting "${this.currentTrack.title}"` : '';
+    console.log(`⏱️  Hard event due${cut}${dropped.length > 0 ? `, dropping ${dropped.length} queued items` : ''}`);
+    this.currentSequence = null;
+    this.scheduleNext();
+  }
+
+  recordHardEvent(item, target) {
+    const started = Date.now();
+    const deviation = started - target;
+    const entry = {
+      title: item.title,
+      type: item.type,
+      scheduled: new Date(target).toISOString(),
+      started: new Date(started).toISOString(),
+      deviation,
+      onTime: Math.abs(deviation) <= this.hardEventTolerance
+    };
+
+    this.hardEventLog.push(entry);
+    if (this.hardEventLog.length > this.maxHardEventLog) {
+      this.hardEventLog.shift();
+    }
+
+    const offset = `${deviation >= 0 ? '+' : ''}${(deviation / 1000).toFixed(1)}s`;
+    if (entry.onTime) {
+      console.log(`⏱️  "${item.title}" on air at ${offset} from schedule`);
+    } else {
+      console.warn(`⚠️  "${item.title}" on air at ${offset} from schedule, outside the ${this.hardEventTolerance / 1000}s tolerance`);
+    }
+
+    appendJsonLine(this.timingLogFile, entry)
+      .catch(error => console.warn('Failed to write timing log:', error.message));
+  }
+
+  // Safety net in case the end of an item is never reported
+  startWatchdog(expectedDuration) {
+    const timeout = (expectedDuration || this.maxItemDuration) + this.watchdogMargin;
+    this.watchdog = setTimeout(() => {
+      console.warn(`⚠️  No end reported for "${this.currentTrack?.title}" after ${Math.round(timeout / 1000)}s, advancing`);
+      this.watchdog = null;
+      this.handleItemEnded();
+    }, timeout);
+  }
+
+  clearWatchdog() {
+    if (this.watchdog) {
+      clearTimeout(this.watchdog);
+      this.watchdog = null;
+    }
+  }
+
+  removeFromQueue(paths) {
+    if (paths.length === 0) return;
+
+    const removed = new Set(paths);
+    this.queue = this.queue
+      .map(item => Array.isArray(item) ? item.filter(entry => !removed.has(entry.path)) : item)
+      .filter(item => Array.isArray(item) ? item.length > 0 : !removed.has(item.path));
+
+    if (this.currentSequence) {
+      this.currentSequence = this.currentSequence.filter(entry => !removed.has(entry.path));
+    }
+  }
+
+  // Operator controls
+
+  skip() {
+    console.log(`⏭️  Skipping "${this.currentTrack?.title}"`);
+    this.clearWatchdog();
+    if (this.buildingPlaceholder) {
+      this.abandonPlaceholder();
+      return;
+    }
+    this.handleItemEnded();
+  }
+
+  // The segment being built is dropped, whatever it resolves to later
+  abandonPlaceholder() {
+    this.buildingPlaceholder = null;
+    this.handleItemEnded();
+  }
+
+  // Something else takes the air while a segment is built (a DJ, the
+  // holding loop): the slot goes back to the queue and is built again later
+  requeuePlaceholder() {
+    if (!this.buildingPlaceholder) return;
+    this.queue.unshift(this.buildingPlaceholder);
+    this.buildingPlaceholder = null;
+  }
+
+  pause() {
+    if (this.paused) return false;
+
+    this.paused = true;
+    this.clearWatchdog();
+    this.requeuePlaceholder();
+
+    // The rest of an interrupted sequence plays after resume
+    if (this.currentSequence?.length > 0) {
+      this.queue.unshift(this.currentSequence);
+    }
+    this.currentSequence = null;
+
+    console.log('⏸️  Automation paused, holding loop on air');
+    if (!this.live) this.playHoldingItem();
+    return true;
+  }
+
+  resume() {
+    if (!this.paused) return false;
+
+    this.paused = false;
+    console.log('▶️ Automation resumed');
+    if (!this.live) this.scheduleNext();
+    return true;
+  }
+
+  // Dead-air recovery: the loop plays for its duration, then automation
+  // carries on from the queue
+  playEmergency(item) {
+    this.clearWatchdog();
+    this.requeuePlaceholder();
+    this.currentSequence = null;
+    this.currentTrack = item;
+    this.streamManager.playTrack(item);
+    this.startWatchdog(item.duration);
+  }
+
+  playHoldingItem() {
+    this.clearWatchdog();
+    const item = this.playlistGenerator.createHoldingItem();
+    this.currentTrack = item;
+    this.streamManager.playTrack(item);
+    this.startWatchdog(item.duration);
+  }
+
+  // Builds a segment the way the automation would, for manual insertion
+  async createSegment(type) {
+    switch (type) {
+      case 'weather': {
+        const alerts = await this.weatherService.getAlerts().catch(() => []);
+        return this.playlistGenerator.createWeatherSegment(await this.weatherService.getCurrentWeather(), alerts);
       }
-    }, currentItem.duration);
+      case 'time':
+        return this.playlistGenerator.createSpokenTimeSegment();
+      case 'ad-break':
+        return this.playlistGenerator.createAdSegment();
+      case 'jingle':
+        return this.playlistGenerator.createJingle();
+      case 'station-id':
+        return this.playlistGenerator.createStationID();
+      case 'dj-solo':
+        return this.playlistGenerator.createDJSolo();
+      default:
+        return null;
+    }
   }
 
-  async scheduleWeatherSegment() {
-    try {
-      const weather = await this.weatherService.getCurrentWeather();
-      const weatherSegment = this.playlistGenerator.createWeatherSegment(weather);
-      
-      // Insert weather segment after current track
-      this.queue.unshift(weatherSegment);
-      console.log('📊 Weather segment scheduled');
-    } catch (error) {
-      console.error('Failed to schedule weather segment:', error);
+  // Queue entries get ids the first time they are listed. Sequences (arrays)
+  // get one too, so they can be moved or removed as a whole.
+  ensureQueueIds() {
+    for (const entry of this.queue) {
+      for (const item of Array.isArray(entry) ? [entry, ...entry] : [entry]) {
+        if (!item.queueId) {
+          item.queueId = `q${++this.queueSequence}`;
+        }
+      }
     }
   }
 
-  scheduleTimeAnnouncement() {
-    const hour = new Date().getHours();
-    let timeOfDay = 'MORNING';
-    
-    if (hour >= 12 && hour < 18) timeOfDay = 'AFTERNOON';
-    else if (hour >= 18 && hour < 22) timeOfDay = 'EVENING';
-    else if (hour >= 22 || hour < 6) timeOfDay = 'NIGHT';
+  // Upcoming items in play order, sequences expanded
+  flattenQueue() {
+    this.ensureQueueIds();
+    return this.queue.flatMap(entry => Array.isArray(entry)
+      ? entry.map(item => ({ item, sequence: entry }))
+      : [{ item: entry, sequence: null }]);
+  }
+
+  // Queue index to insert at so the entry plays at `position` in the flattened
+  // order, never splitting a sequence
+  getInsertIndex(position) {
+    if (position === undefined || position === 'next') return 0;
 
-    const timeSegment = this.playlistGenerator.createTimeSegment(timeOfDay);
-    this.queue.unshift(timeSegment);
-    console.log(`⏰ ${timeOfDay} announcement scheduled`);
+    let played = 0;
+    for (let index = 0; index < this.queue.length; index++) {
+      if (played >= position) return index;
+      played += Array.isArray(this.queue[index]) ? this.queue[index].length : 1;
+    }
+    return this.queue.length;
   }
 
-  scheduleAdBreak() {
-    const adSegment = this.playlistGenerator.createAdSegment();
-    this.queue.unshift(adSegment);
-    console.log('📻 Ad break scheduled');
+  insertIntoQueue(entry, position) {
+    const index = this.getInsertIndex(position);
+    this.queue.splice(index, 0, entry);
+    this.ensureQueueIds();
+    return entry;
+  }
+
+  removeQueueEntry(queueId) {
+    for (let index = 0; index < this.queue.length; index++) {
+      const entry = this.queue[index];
+      if (entry.queueId === queueId) {
+        const [removed] = this.queue.splice(index, 1);
+        this.removeBackAnnounce(index, removed);
+        return removed;
+      }
+
+      if (Array.isArray(entry)) {
+        const member = entry.findIndex(item => item.queueId === queueId);
+        if (member !== -1) {
+          const [removed] = entry.splice(member, 1);
+          if (entry.length === 0) {
+            this.queue.splice(index, 1);
+          }
+          return removed;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // A spoken back-announce names the song before it, so it goes with that song
+  removeBackAnnounce(index, music) {
+    const next = this.queue[index];
+    if (next?.tts === 'backAnnounce' && next.announces === music.path) {
+      this.queue.splice(index, 1);
+    }
+  }
+
+  // A sequence member moved on its own leaves its sequence
+  moveQueueEntry(queueId, position) {
+    const entry = this.removeQueueEntry(queueId);
+    if (!entry) return null;
+    return this.insertIntoQueue(entry, position);
   }
 
   start() {
@@ -141,6 +528,14 @@ export class RadioScheduler {
 
   stop() {
     this.isPlaying = false;
+    this.clearWatchdog();
+    if (this.hardEventTimer) {
+      clearInterval(this.hardEventTimer);
+      this.hardEventTimer = null;
+    }
+    this.audioLibrary.stopWatching();
+    this.playlistGenerator.rotation.save()
+      .catch(error => console.warn('Failed to save play history:', error.message));
     this.streamManager.stop();
     console.log('⏹️ Radio station stopped');
   }
@@ -151,16 +546,25 @@ export class RadioScheduler {
       artist: this.currentTrack?.artist || 'Unknown',
       type: this.currentTrack?.type || 'music',
       startTime: this.currentTrack?.startTime || Date.now(),
-      duration: this.currentTrack?.duration || 0
+      duration: this.currentTrack?.duration || 0,
+      elapsed: this.streamManager.getPosition(),
+      paused: this.paused,
+      live: this.live,
+      request: this.currentTrack?.request ? describeRequest(this.currentTrack.request) : null
     };
   }
 
-  getUpcoming() {
-    return this.queue.slice(0, 5).map(track => ({
-      title: track.title,
-      artist: track.artist,
-      type: track.type,
-      duration: track.duration
+  getUpcoming(limit = 5) {
+    return this.flattenQueue().slice(0, limit).map(({ item, sequence }, position) => ({
+      id: item.queueId,
+      position,
+      itemId: item.id || null,
+      sequenceId: sequence?.queueId || null,
+      title: item.title,
+      artist: item.artist,
+      type: item.type,
+      duration: item.duration,
+      request: item.request ? describeRequest(item.request) : null
     }));
   }
 }
\ No newline at end of file
@@ -0,0 +1,227 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonConfig } from './jsonFiles.js';
+
+const HISTORY_VERSION = 1;
+
+// For whatever the rotation file leaves out
+const DEFAULT_ROTATION = {
+  separation: { title: 180, artist: 30, album: 60 }, // minutes
+  categories: { power: 3, medium: 2, gold: 1 }, // relative weights
+  defaultCategory: 'medium',
+  relaxation: ['album', 'artist', 'title'] // rules dropped in this order when nothing fits
+};
+
+const RULES = ['title', 'artist', 'album'];
+
+// Music rotation: separation between plays of the same title, artist or
+// album, weighted categories, and the play history both are based on. The
+// history holds planned plays (queued) as well as aired ones, only the aired
+// ones are saved.
+export class RotationRules {
+  constructor(options = {}) {
+    this.configFile = options.configFile;
+    this.historyFile = options.historyFile;
+    this.retention = options.retention || 24 * 60 * 60 * 1000;
+    this.saveDelay = options.saveDelay || 5000;
+
+    this.history = []; // { item, path, title, artist, album, time, aired }
+    this.lastPlayed = new Map(); // path -> time last aired
+    this.relaxedLevel = 0;
+    this.saveTimer = null;
+    this.setRules(DEFAULT_ROTATION);
+  }
+
+  async load() {
+    this.setRules(await readJsonConfig(this.configFile, DEFAULT_ROTATION, 'rotation rules'));
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.historyFile, 'utf8'));
+      if (data.version === HISTORY_VERSION) {
+        this.lastPlayed = new Map(Object.entries(data.lastPlayed || {}));
+        this.history = (data.history || []).map(entry => ({ ...entry, item: null, aired: true }));
+        this.prune();
+        console.log(`🔁 Loaded ${this.history.length} plays of rotation history`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load play history:', error.message);
+      }
+    }
+  }
+
+  setRules(config) {
+    const separation = { ...DEFAULT_ROTATION.separation, ...config.separation };
+    this.separation = Object.fromEntries(RULES.map(rule => [rule, Math.max(0, Number(separation[rule]) || 0) * 60000]));
+
+    this.categories = { ...(config.categories || DEFAULT_ROTATION.categories) };
+    this.defaultCategory = config.defaultCategory && this.categories[config.defaultCategory] !== undefined
+      ? config.defaultCategory
+      : Object.keys(this.categories)[0];
+
+    this.relaxation = (config.relaxation || DEFAULT_ROTATION.relaxation).filter(rule => RULES.includes(rule));
+  }
+
+  getCategory(track) {
+    return track.subcategory && this.categories[track.subcategory] !== undefined
+      ? track.subcategory
+      : this.defaultCategory;
+  }
+
+  // Best track for `time`. Rules are relaxed one by one when nothing passes,
+  // with `strict` it returns null instead.
+  pick(tracks, time = Date.now(), { strict = false } = {}) {
+    if (tracks.length === 0) return null;
+
+    const rules = RULES.filter(rule => this.separation[rule] > 0);
+    const levels = strict ? 0 : this.relaxation.length;
+
+    for (let level = 0; level <= levels; level++) {
+      const relaxed = this.relaxation.slice(0, level);
+      const active = rules.filter(rule => !relaxed.includes(rule));
+      const eligible = tracks.filter(track => !this.violates(track, time, active));
+      if (eligible.length === 0) continue;
+
+      if (!strict && level !== this.relaxedLevel) {
+        this.relaxedLevel = level;
+        if (level > 0) {
+          console.warn(`⚠️  Library too small for rotation rules, relaxing ${relaxed.join(', ')} separation`);
+        } else {
+          console.log('🔁 Rotation rules fully applied again');
+        }
+      }
+
+      // Repeats are unavoidable now, spread them as far apart as possible
+      if (relaxed.includes('title')) {
+        return this.leastRecentlyPlayed(eligible);
+      }
+
+      const category = this.chooseCategory(eligible);
+      return this.leastRecentlyPlayed(eligible.filter(track => this.getCategory(track) === category));
+    }
+
+    return strict ? null : this.leastRecentlyPlayed(tracks);
+  }
+
+  // Weighted pick among the categories that still have eligible tracks
+  chooseCategory(tracks) {
+    const available = [...new Set(tracks.map(track => this.getCategory(track)))];
+    const total = available.reduce((sum, category) => sum + (this.categories[category] || 0), 0);
+    if (total <= 0) return available[0];
+
+    let roll = Math.random() * total;
+    for (const category of available) {
+      roll -= this.categories[category] || 0;
+      if (roll < 0) return category;
+    }
+    return available[available.length - 1];
+  }
+
+  leastRecentlyPlayed(tracks) {
+    const lastUse = new Map(this.lastPlayed);
+    for (const entry of this.history) {
+      lastUse.set(entry.path, Math.max(lastUse.get(entry.path) || 0, entry.time));
+    }
+
+    const oldest = Math.min(...tracks.map(track => lastUse.get(track.path) || 0));
+    const candidates = tracks.filter(track => (lastUse.get(track.path) || 0) === oldest);
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  // First rule broken by playing `track` at `time`, or null
+  violates(track, time, rules = RULES) {
+    for (const rule of rules) {
+      const value = normalize(track[rule]);
+      if (!value || (rule === 'artist' && value === 'unknown artist')) continue;
+
+      const window = this.separation[rule];
+      const conflict = this.history.some(entry =>
+        Math.abs(time - entry.time) < window && normalize(entry[rule]) === value);
+      if (conflict) return rule;
+    }
+    return null;
+  }
+
+  // A track planned to air at `time`
+  record(item, time = Date.now()) {
+    this.history.push({ ...describePlay(item), item, time, aired: false });
+  }
+
+  // Called when a track actually goes on air
+  markAired(item, time = Date.now()) {
+    const entry = this.history.find(candidate => candidate.item === item && !candidate.aired);
+    if (entry) {
+      Object.assign(entry, { item: null, time, aired: true });
+    } else {
+      // Not planned by the generator, e.g. inserted by an operator
+      this.history.push({ ...describePlay(item), item: null, time, aired: true });
+    }
+
+    this.lastPlayed.set(item.path, time);
+    this.prune();
+    this.scheduleSave();
+  }
+
+  // A planned play that will not happen after all
+  unrecord(item) {
+    const index = this.history.findIndex(entry => !entry.aired && (entry.item === item || entry.path === item.path));
+    if (index !== -1) {
+      this.history.splice(index, 1);
+    }
+  }
+
+  forget(paths) {
+    const removed = new Set(paths);
+    this.history = this.history.filter(entry => !removed.has(entry.path));
+    paths.forEach(filePath => this.lastPlayed.delete(filePath));
+    this.scheduleSave();
+  }
+
+  // Planned plays that never aired (skipped, removed) age out the same way
+  prune() {
+    const cutoff = Date.now() - this.retention;
+    this.history = this.history.filter(entry => entry.time >= cutoff);
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => console.warn('Failed to save play history:', error.message));
+    }, this.saveDelay);
+    this.saveTimer.unref?.();
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const data = {
+      version: HISTORY_VERSION,
+      lastPlayed: Object.fromEntries(this.lastPlayed),
+      history: this.history
+        .filter(entry => entry.aired)
+        .map(entry => ({ ...describePlay(entry), time: entry.time }))
+    };
+
+    await fs.mkdir(path.dirname(this.historyFile), { recursive: true });
+    const tempFile = `${this.historyFile}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data), 'utf8');
+    await fs.rename(tempFile, this.historyFile);
+  }
+}
+
+function describePlay(item) {
+  return {
+    path: item.path,
+    title: item.title,
+    artist: item.artist || null,
+    album: item.album || null
+  };
+}
+
+function normalize(value) {
+  return value ? String(value).trim().toLowerCase() : null;
+}
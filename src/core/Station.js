@@ -0,0 +1,153 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AsRunLog } from './AsRunLog.js';
+import { DeadAirMonitor } from './DeadAirMonitor.js';
+import { EnhancedStreamManager } from './EnhancedStreamManager.js';
+import { readJsonConfig } from './jsonFiles.js';
+import { ListenerRequests } from './ListenerRequests.js';
+import { RadioScheduler } from './RadioScheduler.js';
+import { WeatherService } from '../services/WeatherService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.join(__dirname, '../..');
+
+// Without a stations file: the single station of old, with its audio and
+// data where they always were
+const DEFAULT_STATIONS = {
+  stations: [
+    { id: 'main', name: 'Custom Radio Station', audioPath: 'audio', dataPath: 'data' }
+  ]
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Relative paths in the stations file are relative to the project root
+function resolvePath(value, fallback) {
+  return value ? path.resolve(ROOT, value) : fallback;
+}
+
+export async function loadStationConfigs(filePath) {
+  const config = await readJsonConfig(filePath, DEFAULT_STATIONS, 'stations');
+  const seen = new Set();
+  const stations = (config.stations || []).filter((station, index) => {
+    if (!ID_PATTERN.test(station.id || '')) {
+      console.warn(`⚠️  Station #${index + 1} ignored: id must be lower-case letters, digits and dashes`);
+      return false;
+    }
+    if (seen.has(station.id)) {
+      console.warn(`⚠️  Station "${station.id}" is defined twice, ignoring the second one`);
+      return false;
+    }
+    if (!station.audioPath) {
+      console.warn(`⚠️  Station "${station.id}" ignored: no audioPath`);
+      return false;
+    }
+    seen.add(station.id);
+    return true;
+  });
+
+  if (stations.length === 0) {
+    console.warn('⚠️  No stations configured, using defaults');
+    return DEFAULT_STATIONS.stations;
+  }
+  return stations;
+}
+
+// One channel: its own library, schedule, playout and logs. `options` holds
+// the settings shared by every station (stream, scheduler, requests).
+export class Station {
+  constructor(config, options = {}) {
+    this.id = config.id;
+    this.name = config.name || config.id;
+    this.genre = config.genre || 'Various';
+    this.livePassword = config.livePassword || process.env.LIVE_PASSWORD || null;
+
+    const dataPath = resolvePath(config.dataPath, path.join(ROOT, 'data/stations', this.id));
+    const configFile = (value, name) => resolvePath(value, path.join(ROOT, 'config', name));
+
+    this.weatherService = new WeatherService({
+      ...config.weather,
+      fixture: resolvePath(config.weather?.fixture, null)
+    });
+    this.streamManager = new EnhancedStreamManager({
+      ...options.stream,
+      stationName: this.name,
+      genre: this.genre,
+      description: config.description,
+      url: config.url,
+      outputs: config.outputs,
+      icecast: (config.icecast || []).map(relay => ({
+        ...relay,
+        password: relay.password || process.env.ICECAST_PASSWORD
+      })),
+      tempPath: path.join(ROOT, 'temp', this.id)
+    });
+    this.asRunLog = new AsRunLog(this.streamManager, {
+      logPath: path.join(dataPath, 'as-run')
+    });
+    this.scheduler = new RadioScheduler(this.weatherService, this.streamManager, {
+      ...options.scheduler,
+      audioPath: resolvePath(config.audioPath),
+      cacheFile: path.join(dataPath, 'analysis-cache.json'),
+      historyFile: path.join(dataPath, 'play-history.json'),
+      timingLogFile: path.join(dataPath, 'hard-events.jsonl'),
+      rulesFile: configFile(config.categoriesFile, 'categories.json'),
+      clocksFile: configFile(config.clocksFile, 'clocks.json'),
+      rotationFile: configFile(config.rotationFile, 'rotation.json'),
+      campaignsFile: configFile(config.campaignsFile, 'campaigns.json'),
+      ttsFile: configFile(config.ttsFile, 'tts.json'),
+      ttsCachePath: path.join(dataPath, 'tts'),
+      stationName: this.name,
+      asRunLog: this.asRunLog
+    });
+    this.asRunLog.audioLibrary = this.scheduler.audioLibrary;
+    this.listenerRequests = new ListenerRequests(this.scheduler, options.requests);
+    this.deadAirMonitor = new DeadAirMonitor(this.streamManager, this.scheduler, {
+      ...options.deadAir,
+      emergencyAudio: resolvePath(config.emergencyAudio || process.env.EMERGENCY_AUDIO, null),
+      logFile: path.join(dataPath, 'dead-air.jsonl')
+    });
+  }
+
+  async start() {
+    console.log(`📻 Starting station "${this.id}" (${this.name})`);
+    await this.streamManager.initialize();
+    await this.scheduler.initialize();
+    this.scheduler.start();
+    this.deadAirMonitor.start();
+  }
+
+  stop() {
+    this.deadAirMonitor.stop();
+    this.scheduler.stop();
+  }
+
+  // `stream` is the main mount: the one named "stream", else the first listed
+  describe() {
+    const nowPlaying = this.scheduler.getCurrentTrack();
+    const mounts = [...this.streamManager.outputs.values()].map(output => ({
+      url: `/stations/${this.id}/${output.mount}`,
+      format: output.format,
+      bitrate: output.bitrate,
+      contentType: output.contentType
+    }));
+    const main = this.streamManager.getOutput('stream') || this.streamManager.outputs.values().next().value;
+
+    return {
+      id: this.id,
+      name: this.name,
+      genre: this.genre,
+      stream: main ? `/stations/${this.id}/${main.mount}` : null,
+      mounts,
+      hls: this.streamManager.getHlsOutput() ? `/stations/${this.id}/hls/stream.m3u8` : null,
+      listeners: this.streamManager.getListenerCount(),
+      live: Boolean(this.streamManager.live),
+      nowPlaying: {
+        title: nowPlaying.title,
+        artist: nowPlaying.artist,
+        type: nowPlaying.type
+      }
+    };
+  }
+}
@@ -0,0 +1,236 @@
+import { EventEmitter } from 'events';
+import { FrameRingBuffer } from './FrameRingBuffer.js';
+import { IcyMetadataInjector } from './IcyMetadataInjector.js';
+import { OUTPUT_FORMATS, OutputEncoder } from './OutputEncoder.js';
+
+const BITRATE_PATTERN = /^\d{2,3}k$/;
+const MOUNT_PATTERN = /^[\w.-]+$/; // one path segment, e.g. stream.aac
+
+// Throws a 400-style error for a format or bitrate no encoder can produce
+export function validateOutputConfig({ format, bitrate }) {
+  if (format !== undefined && !OUTPUT_FORMATS[format]) {
+    throw Object.assign(new Error(`Unknown format "${format}", expected ${Object.keys(OUTPUT_FORMATS).join(', ')}`), { statusCode: 400 });
+  }
+  if (bitrate !== undefined && !BITRATE_PATTERN.test(bitrate)) {
+    throw Object.assign(new Error(`Invalid bitrate "${bitrate}", expected e.g. 128k`), { statusCode: 400 });
+  }
+}
+
+// One mount of the station: its own encoder fed from the shared program PCM,
+// its own ring buffer and its own listeners.
+export class StreamOutput extends EventEmitter {
+  constructor(config, options = {}) {
+    super();
+    validateOutputConfig(config);
+    if (!MOUNT_PATTERN.test(config.mount || '')) {
+      throw new Error(`invalid mount name "${config.mount}"`);
+    }
+
+    this.mount = config.mount;
+    this.format = config.format || 'mp3';
+    this.bitrate = config.bitrate || '128k';
+    this.stationInfo = options.stationInfo;
+    this.encoderOptions = options.encoder || {};
+    this.icyMetadataInterval = options.icyMetadataInterval || 8192;
+    this.burstSeconds = options.burstSeconds || 2; // sent on connect so playback starts fast
+
+    this.clients = new Map(); // response -> { response, output, injector, cursor, blocked }
+    this.ringBuffer = new FrameRingBuffer(options.maxLagSeconds || 20);
+    this.droppedClients = 0;
+    this.title = null;
+
+    // Ogg streams only: header pages every new listener gets first
+    this.headers = [];
+    this.headerEnd = 0; // ring buffer sequence right after the latest headers
+    this.lastFrameWasHeader = false;
+
+    this.encoder = this.createEncoder();
+  }
+
+  get contentType() {
+    return OUTPUT_FORMATS[this.format].contentType;
+  }
+
+  // In-band ICY metadata only makes sense for MP3 and AAC, Ogg has its own
+  get supportsIcyMetadata() {
+    return this.format !== 'opus';
+  }
+
+  createEncoder() {
+    const encoder = new OutputEncoder({ ...this.encoderOptions, format: this.format, bitrate: this.bitrate });
+    encoder.on('frame', (frame, duration, header) => this.broadcastFrame(frame, duration, header));
+    encoder.on('start', () => this.emit('encoderstart'));
+    return encoder;
+  }
+
+  start() {
+    this.encoder.start();
+  }
+
+  write(pcm) {
+    this.encoder.write(pcm);
+  }
+
+  // A new encoder replaces the old one. Listeners stay on a bitrate change,
+  // a format change disconnects them since their players expect the old one.
+  reconfigure({ format = this.format, bitrate = this.bitrate }) {
+    validateOutputConfig({ format, bitrate });
+    const formatChanged = format !== this.format;
+
+    this.encoder.removeAllListeners('frame');
+    this.encoder.stop();
+
+    this.format = format;
+    this.bitrate = bitrate;
+
+    if (formatChanged) {
+      this.clients.forEach(client => client.response.end());
+      this.clients.clear();
+      this.ringBuffer.clear();
+      this.headers = [];
+      this.headerEnd = this.ringBuffer.head;
+      this.lastFrameWasHeader = false;
+    }
+
+    this.encoder = this.createEncoder();
+    this.encoder.start();
+    this.emit('reconfigure');
+    console.log(`🔧 Mount /${this.mount} now ${this.format} at ${this.bitrate}`);
+  }
+
+  stop() {
+    this.encoder.stop();
+    this.clients.forEach(client => client.response.end());
+    this.clients.clear();
+  }
+
+  addClient(request, response) {
+    // Only clients that explicitly ask for metadata may receive it in-band
+    const icyRequested = request.headers['icy-metadata'] === '1' || request.query?.icy === '1';
+    const wantsMetadata = icyRequested && this.supportsIcyMetadata;
+
+    const headers = {
+      'Content-Type': this.contentType,
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    };
+
+    if (icyRequested) {
+      headers['icy-name'] = this.stationInfo.name;
+      headers['icy-genre'] = this.stationInfo.genre;
+      headers['icy-br'] = this.bitrate.replace('k', '');
+    }
+    if (wantsMetadata) {
+      headers['icy-metaint'] = this.icyMetadataInterval.toString();
+    }
+
+    response.writeHead(200, headers);
+
+    // New listeners start a little behind the live edge on a frame boundary,
+    // never before the Ogg headers they are sent up front
+    const client = {
+      response,
+      output: response,
+      injector: null,
+      cursor: Math.max(this.ringBuffer.sequenceBefore(this.burstSeconds), this.headerEnd),
+      blocked: false
+    };
+    if (wantsMetadata) {
+      client.injector = new IcyMetadataInjector(this.icyMetadataInterval);
+      client.injector.pipe(response);
+      client.output = client.injector;
+    }
+
+    this.clients.set(response, client);
+    console.log(`📻 Client connected to /${this.mount}${wantsMetadata ? ' (ICY)' : ''}. Total: ${this.clients.size}`);
+
+    // Send current ICY metadata to new client
+    if (this.title) {
+      client.injector?.setTitle(this.title);
+    }
+
+    this.headers.forEach(page => client.output.write(page));
+    this.sendToClient(client);
+  }
+
+  removeClient(response) {
+    const client = this.clients.get(response);
+    if (!client) return false;
+
+    if (client.injector) {
+      client.injector.destroy();
+    }
+
+    this.clients.delete(response);
+    console.log(`📻 Client disconnected from /${this.mount}. Total: ${this.clients.size}`);
+    return true;
+  }
+
+  broadcastFrame(frame, duration, header = false) {
+    if (header) {
+      // A header after audio pages means the encoder started a new stream
+      if (!this.lastFrameWasHeader) this.headers = [];
+      this.headers.push(frame);
+      this.ringBuffer.push(frame, 0);
+      this.headerEnd = this.ringBuffer.head;
+    } else {
+      this.ringBuffer.push(frame, duration);
+    }
+    this.lastFrameWasHeader = header;
+
+    this.emit('frame', frame);
+    this.clients.forEach(client => this.sendToClient(client));
+  }
+
+  sendToClient(client) {
+    if (client.response.destroyed) return;
+
+    // Too far behind: the frames it still needs were already overwritten
+    if (client.cursor < this.ringBuffer.tail) {
+      console.warn(`📻 Dropping client of /${this.mount} that fell too far behind`);
+      this.droppedClients++;
+      client.response.destroy();
+      this.removeClient(client.response);
+      return;
+    }
+
+    if (client.blocked || client.cursor >= this.ringBuffer.head) return;
+
+    const data = this.ringBuffer.read(client.cursor);
+    client.cursor = this.ringBuffer.head;
+
+    // A slow client only stalls itself: pause its cursor until it drains
+    if (!client.output.write(data)) {
+      client.blocked = true;
+      client.output.once('drain', () => {
+        client.blocked = false;
+        this.sendToClient(client);
+      });
+    }
+  }
+
+  setTitle(title) {
+    this.title = title;
+    this.clients.forEach(client => {
+      if (!client.response.destroyed) {
+        client.injector?.setTitle(title);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      mount: this.mount,
+      format: this.format,
+      bitrate: this.bitrate,
+      contentType: this.contentType,
+      clients: this.clients.size,
+      droppedClients: this.droppedClients,
+      buffer: {
+        seconds: Number(this.ringBuffer.duration.toFixed(2)),
+        frames: this.ringBuffer.head - this.ringBuffer.tail
+      }
+    };
+  }
+}
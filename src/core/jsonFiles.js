@@ -0,0 +1,22 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Settings from config/. The files are optional: a missing one silently gives
+// `fallback`, an unreadable one gives it too with a warning.
+export async function readJsonConfig(filePath, fallback, description) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Invalid ${description} in ${filePath}, using defaults:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+// One JSON object per line, as the logs in data/ are kept. The directory is
+// created when missing.
+export async function appendJsonLine(filePath, entry) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf8');
+}
@@ -1,149 +1,547 @@
 import express from 'express';
-import { RadioScheduler } from './core/RadioScheduler.js';
-import { EnhancedStreamManager } from './core/EnhancedStreamManager.js';
-import { WeatherService } from './services/WeatherService.js';
+import { LiveInputServer } from './core/LiveInputServer.js';
+import { Station, loadStationConfigs } from './core/Station.js';
+import { timingSafeEqual } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// TRUST_PROXY as Express takes it: "true", a number of hops, or addresses
+// and subnets such as "loopback, 10.0.0.0/8"
+function parseTrustProxy(value) {
+  if (!value) return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 class RadioServer {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 3000;
-    this.weatherService = new WeatherService();
-    
-    // Enhanced stream manager with HLS support
-    this.streamManager = new EnhancedStreamManager({
-      format: 'mp3',
-      bitrate: '128k',
-      enableHLS: true
+    this.adminToken = process.env.ADMIN_TOKEN || null;
+    this.trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+    this.stationsFile = process.env.STATIONS_FILE || path.join(__dirname, '../config/stations.json');
+    this.stations = new Map(); // id -> Station, the first one also answers the old unprefixed routes
+    this.defaultStation = null;
+
+    // DJ source clients connect here, /live for the first station or
+    // /<station id>/live
+    this.liveInput = new LiveInputServer({
+      port: process.env.LIVE_PORT || 8010,
+      resolve: (mount) => this.resolveLiveMount(mount)
     });
-    
-    this.scheduler = new RadioScheduler(this.weatherService, this.streamManager);
+
+    // Settings shared by every station
+    this.stationOptions = {
+      // Enhanced stream manager with HLS support
+      stream: {
+        enableHLS: true,
+        crossfadeDuration: parseInt(process.env.CROSSFADE_DURATION || '4000', 10),
+        duckLevel: parseFloat(process.env.DUCK_LEVEL_DB || '-12'),
+        targetLoudness: parseFloat(process.env.LOUDNESS_TARGET || '-16'),
+        limiter: process.env.OUTPUT_LIMITER === 'true',
+        liveSilenceTimeout: parseInt(process.env.LIVE_SILENCE_TIMEOUT || '15000', 10)
+      },
+      deadAir: {
+        timeout: parseInt(process.env.DEAD_AIR_TIMEOUT || '10000', 10)
+      },
+      scheduler: {
+        hardEventTolerance: parseInt(process.env.HARD_EVENT_TOLERANCE || '5000', 10)
+      },
+      requests: {
+        maxPerClient: parseInt(process.env.REQUEST_LIMIT || '3', 10),
+        window: parseInt(process.env.REQUEST_WINDOW_MINUTES || '60', 10) * 60 * 1000
+      }
+    };
     
     this.setupMiddleware();
-    this.setupRoutes();
+  }
+
+  // Bearer token from ADMIN_TOKEN, the admin API is off without one
+  requireAdmin(req, res, next) {
+    if (!this.adminToken) {
+      return res.status(503).json({ error: 'Admin API disabled, set ADMIN_TOKEN' });
+    }
+
+    const header = req.get('authorization') || '';
+    const token = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(this.adminToken);
+
+    if (token.length !== expected.length || !timingSafeEqual(token, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
   }
 
   setupMiddleware() {
+    // Behind a reverse proxy req.ip would be the proxy's for every listener,
+    // and listener requests are limited per address
+    if (this.trustProxy !== null) {
+      this.app.set('trust proxy', this.trustProxy);
+    }
     this.app.use(express.json());
     this.app.use(express.static(path.join(__dirname, '../public')));
     
     // CORS for streaming
     this.app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
       next();
     });
   }
 
   setupRoutes() {
-    // Main radio stream endpoint
-    this.app.get('/stream', (req, res) => {
-      const icyMetadata = req.query.icy === '1';
-      
-      const headers = {
-        'Content-Type': 'audio/mpeg',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
-      };
-      
-      // Add ICY headers if requested
-      if (icyMetadata) {
-        headers['icy-name'] = 'Custom Radio Station';
-        headers['icy-genre'] = 'Various';
-        headers['icy-br'] = '128';
-        headers['icy-metaint'] = '8192';
+    this.app.get('/api/stations', (req, res) => {
+      res.json([...this.stations.values()].map(station => ({
+        ...station.describe(),
+        default: station === this.defaultStation
+      })));
+    });
+
+    for (const station of this.stations.values()) {
+      const router = this.createStationRouter(station);
+      this.app.use(`/stations/${station.id}`, router);
+      if (station === this.defaultStation) {
+        this.app.use(router);
       }
-      
-      res.writeHead(200, headers);
-      this.streamManager.addClient(res);
-      
-      req.on('close', () => {
-        this.streamManager.removeClient(res);
-      });
+    }
+
+    // Serve web player
+    this.app.get('/', (req, res) => {
+      res.sendFile(path.join(__dirname, '../public/index.html'));
     });
+  }
+
+  // Stream, HLS and API routes of one station, mounted under /stations/:id
+  createStationRouter(station) {
+    const router = express.Router();
 
     // HLS stream endpoint
-    this.app.get('/hls/:file', (req, res) => {
-      const fileName = req.params.file;
-      const filePath = path.join(__dirname, '../public/hls', fileName);
+    router.get('/hls/:file', (req, res) => {
+      const fileName = path.basename(req.params.file);
+      const segmenter = station.streamManager.hlsSegmenter;
+      
+      if (!segmenter || !/\.(m3u8|ts)$/.test(fileName)) {
+        return res.status(404).end();
+      }
       
       if (fileName.endsWith('.m3u8')) {
+        // The playlist changes with every segment, never cache it
         res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-      } else if (fileName.endsWith('.ts')) {
+        res.setHeader('Cache-Control', 'no-cache, no-store');
+      } else {
+        // Segments never change once written
+        const maxAge = segmenter.targetDuration * segmenter.windowSize;
         res.setHeader('Content-Type', 'video/mp2t');
+        res.setHeader('Cache-Control', `public, max-age=${maxAge}, immutable`);
       }
       
-      res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Access-Control-Allow-Origin', '*');
-      res.sendFile(filePath);
+      res.sendFile(path.join(segmenter.outputPath, fileName), (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).end();
+        }
+      });
     });
 
     // API endpoints
-    this.app.get('/api/now-playing', (req, res) => {
-      res.json(this.scheduler.getCurrentTrack());
+    router.get('/api/now-playing', (req, res) => {
+      res.json(station.scheduler.getCurrentTrack());
+    });
+
+    router.get('/api/schedule', (req, res) => {
+      const limit = parseInt(req.query.limit, 10);
+      res.json(station.scheduler.getUpcoming(limit > 0 ? limit : undefined));
+    });
+
+    // Deviation of hard-timed events from their scheduled start
+    router.get('/api/schedule/timing', (req, res) => {
+      res.json({
+        tolerance: station.scheduler.hardEventTolerance,
+        events: station.scheduler.hardEventLog.slice().reverse()
+      });
+    });
+
+    // Recent dead air: what went quiet, why, and what was done about it
+    router.get('/api/dead-air', (req, res) => {
+      res.json(station.deadAirMonitor.getStatus());
+    });
+
+    // ?from=&to= (ISO dates, default last 24h), ?type=, ?format=csv for the
+    // licensing report which only lists music
+    router.get('/api/history', async (req, res) => {
+      const csv = req.query.format === 'csv';
+
+      try {
+        const entries = await station.asRunLog.query({
+          from: req.query.from,
+          to: req.query.to,
+          type: req.query.type || (csv ? 'music' : undefined)
+        });
+
+        if (!csv) {
+          return res.json({ total: entries.length, entries });
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="as-run-${date}.csv"`);
+        res.send(station.asRunLog.toCsv(entries, station.streamManager.stationInfo.name));
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Failed to read as-run log:', error);
+        }
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to read play history' });
+      }
+    });
+
+    // ?from=&to= (ISO dates), defaults to today so far
+    router.get('/api/campaigns/delivery', async (req, res) => {
+      try {
+        res.json(await station.scheduler.playlistGenerator.campaigns.getDeliveryReport({
+          from: req.query.from,
+          to: req.query.to
+        }));
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Failed to build delivery report:', error);
+        }
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to build delivery report' });
+      }
+    });
+
+    router.get('/api/library', (req, res) => {
+      res.json(station.scheduler.audioLibrary.getSummary());
+    });
+
+    // ?page=&limit=&artist=&album=&category=&q=
+    router.get('/api/library/music', (req, res) => {
+      const { page, limit, artist, album, category, q } = req.query;
+      res.json(station.scheduler.audioLibrary.searchMusic({ page, limit, artist, album, category, q }));
+    });
+
+    router.get('/api/library/dj', (req, res) => {
+      res.json(station.scheduler.audioLibrary.getDJBuckets());
+    });
+
+    router.get('/api/library/jingles', (req, res) => {
+      const library = station.scheduler.audioLibrary;
+      res.json({
+        count: library.library.jingles.length,
+        items: library.library.jingles.map(item => library.describeItem(item))
+      });
+    });
+
+    router.get('/api/library/ads', (req, res) => {
+      const library = station.scheduler.audioLibrary;
+      res.json({
+        count: library.library.ads.length,
+        items: library.library.ads.map(item => library.describeItem(item))
+      });
+    });
+
+    router.get('/api/library/rejected', (req, res) => {
+      const rejected = station.scheduler.audioLibrary.getRejected();
+      res.json({ count: rejected.length, files: rejected });
+    });
+
+    router.get('/api/library/items/:id', (req, res) => {
+      const item = station.scheduler.audioLibrary.findItem(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      res.json(station.scheduler.audioLibrary.describeItem(item));
+    });
+
+    router.get('/api/library/loudness', (req, res) => {
+      const items = station.scheduler.audioLibrary.getAllItems().map(item => ({
+        id: item.id,
+        path: station.scheduler.audioLibrary.getRelativePath(item.path),
+        title: item.title,
+        artist: item.artist || null,
+        type: item.type,
+        loudness: item.loudness || null,
+        appliedGain: station.streamManager.getItemGain(item)
+      }));
+      
+      res.json({
+        target: station.streamManager.normalization.target,
+        limiter: station.streamManager.normalization.limiter,
+        items
+      });
     });
 
-    this.app.get('/api/schedule', (req, res) => {
-      res.json(this.scheduler.getUpcoming());
+    router.post('/api/library/rescan', this.requireAdmin.bind(this), async (req, res) => {
+      try {
+        const change = await station.scheduler.audioLibrary.scanLibrary();
+        if (change.error) {
+          return res.status(500).json({ error: 'Failed to rescan library' });
+        }
+        res.json({
+          message: 'Library rescanned',
+          total: station.scheduler.audioLibrary.getTotalFiles(),
+          added: change.added.length,
+          updated: change.updated.length,
+          removed: change.removed.length
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to rescan library' });
+      }
     });
 
-    this.app.get('/api/stream/stats', (req, res) => {
-      res.json(this.streamManager.getStreamStats());
+    // Dry run of config/categories.json, nothing moves until the next rescan
+    router.get('/api/library/classify', this.requireAdmin.bind(this), async (req, res) => {
+      try {
+        const files = await station.scheduler.audioLibrary.dryRunClassification();
+        res.json({
+          total: files.length,
+          changed: files.filter(file => file.current !== file.category).length,
+          files
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to classify library' });
+      }
     });
 
-    this.app.post('/api/weather/set', (req, res) => {
-      const { city, country } = req.body;
+    // { trackId, requestedBy? } with trackId from /api/library/music
+    router.post('/api/requests', (req, res) => {
+      try {
+        const result = station.listenerRequests.submit({
+          trackId: req.body?.trackId,
+          clientId: req.ip,
+          requestedBy: req.body?.requestedBy
+        });
+        res.status(result.status === 'queued' ? 201 : 200).json(result);
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error('Failed to handle request:', error);
+        }
+        if (error.retryAfter) {
+          res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to handle request' });
+      }
+    });
+
+    router.get('/api/requests', (req, res) => {
+      res.json(station.listenerRequests.getPending());
+    });
+
+    router.get('/api/stream/stats', (req, res) => {
+      res.json(station.streamManager.getStreamStats());
+    });
+
+    // { city, country } or { latitude, longitude } with an optional city and
+    // country naming the place
+    router.post('/api/weather/set', (req, res) => {
+      const { city, country, latitude, longitude } = req.body || {};
+
+      if (latitude !== undefined || longitude !== undefined) {
+        try {
+          station.weatherService.setCoordinates(latitude, longitude, { city, country });
+        } catch (error) {
+          return res.status(error.statusCode || 500).json({ error: error.message });
+        }
+        return res.json({ message: 'Location updated successfully', location: station.weatherService.getLocation() });
+      }
+
       if (!city || !country) {
-        return res.status(400).json({ error: 'City and country are required' });
+        return res.status(400).json({ error: 'City and country, or latitude and longitude, are required' });
       }
       
-      this.weatherService.setLocation(city, country);
-      res.json({ message: 'Location updated successfully' });
+      station.weatherService.setLocation(city, country);
+      res.json({ message: 'Location updated successfully', location: station.weatherService.getLocation() });
     });
 
-    this.app.get('/api/weather/current', async (req, res) => {
+    router.get('/api/weather/current', async (req, res) => {
       try {
-        const weather = await this.weatherService.getCurrentWeather();
+        const weather = await station.weatherService.getCurrentWeather();
         res.json(weather);
       } catch (error) {
         res.status(500).json({ error: 'Failed to get weather data' });
       }
     });
 
-    // Stream configuration endpoint
-    this.app.post('/api/stream/config', (req, res) => {
-      const { bitrate, format } = req.body;
+    // ?days= (1-7, default 3), one entry per day starting today
+    router.get('/api/weather/forecast', async (req, res) => {
+      const days = req.query.days === undefined ? 3 : parseInt(req.query.days, 10);
+      if (!Number.isInteger(days) || days < 1 || days > 7) {
+        return res.status(400).json({ error: 'days must be between 1 and 7' });
+      }
+
+      try {
+        res.json({
+          location: station.weatherService.getLocation(),
+          provider: station.weatherService.provider.name,
+          forecast: await station.weatherService.getForecast(days)
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get forecast' });
+      }
+    });
+
+    router.get('/api/weather/alerts', async (req, res) => {
+      try {
+        res.json({
+          location: station.weatherService.getLocation(),
+          provider: station.weatherService.provider.name,
+          alerts: await station.weatherService.getAlerts()
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get weather alerts' });
+      }
+    });
+
+    this.setupAdminRoutes(router, station);
+
+    // Stream configuration endpoint, { mount?, format?, bitrate? } for one output
+    router.post('/api/stream/config', this.requireAdmin.bind(this), (req, res) => {
+      const { mount, bitrate, format } = req.body || {};
       
       if (bitrate || format) {
-        this.streamManager.updateStreamConfig({ bitrate, format });
-        res.json({ message: 'Stream configuration updated' });
+        try {
+          const output = station.streamManager.updateStreamConfig({ mount, bitrate, format });
+          res.json({ message: 'Stream configuration updated', output });
+        } catch (error) {
+          if (!error.statusCode) {
+            console.error('Failed to update stream configuration:', error);
+          }
+          res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update stream configuration' });
+        }
       } else {
         res.status(400).json({ error: 'No valid configuration provided' });
       }
     });
 
-    // Serve web player
-    this.app.get('/', (req, res) => {
-      res.sendFile(path.join(__dirname, '../public/index.html'));
+    // Stream mounts: /stream (MP3 128k), /stream-64.mp3, /stream.aac, ...
+    router.get('/:mount', (req, res, next) => {
+      // Headers (including ICY negotiation) are written by the output
+      if (!station.streamManager.addClient(req, res, req.params.mount)) {
+        return next();
+      }
+      
+      req.on('close', () => {
+        station.streamManager.removeClient(res);
+      });
+    });
+
+    return router;
+  }
+
+  resolveLiveMount(mount) {
+    const match = /^\/(?:(?:stations\/)?([a-z0-9-]+)\/)?live$/.exec(mount);
+    const station = match && (match[1] ? this.stations.get(match[1]) : this.defaultStation);
+    return station ? { password: station.livePassword, streamManager: station.streamManager } : null;
+  }
+
+  // Queue ids come from GET /api/schedule, positions count from 0 (next up)
+  setupAdminRoutes(router, station) {
+    const admin = this.requireAdmin.bind(this);
+
+    const parsePosition = (position) => {
+      if (position === undefined || position === 'next') return 'next';
+      const value = parseInt(position, 10);
+      return Number.isInteger(value) && value >= 0 ? value : null;
+    };
+
+    router.post('/api/admin/skip', admin, (req, res) => {
+      station.scheduler.skip();
+      res.json({ message: 'Skipped', nowPlaying: station.scheduler.getCurrentTrack() });
+    });
+
+    router.post('/api/admin/pause', admin, (req, res) => {
+      const paused = station.scheduler.pause();
+      res.json({ message: paused ? 'Automation paused' : 'Already paused', paused: true });
+    });
+
+    router.post('/api/admin/resume', admin, (req, res) => {
+      const resumed = station.scheduler.resume();
+      res.json({ message: resumed ? 'Automation resumed' : 'Not paused', paused: false });
+    });
+
+    // Cuts the live DJ off, automation takes over again
+    router.post('/api/admin/live/stop', admin, (req, res) => {
+      const ended = station.streamManager.endLive('stopped by operator');
+      res.json({ message: ended ? 'Live source disconnected' : 'Not live', live: false });
+    });
+
+    // { itemId } for a library file or { segment } for a generated one
+    router.post('/api/admin/queue', admin, async (req, res) => {
+      const { itemId, segment } = req.body || {};
+      const position = parsePosition(req.body?.position);
+      if (position === null) {
+        return res.status(400).json({ error: 'Invalid position' });
+      }
+
+      try {
+        let entry = null;
+        if (itemId) {
+          const item = station.scheduler.audioLibrary.findItem(itemId);
+          entry = item ? { ...item, startTime: Date.now() } : null;
+        } else if (segment) {
+          entry = await station.scheduler.createSegment(segment);
+        }
+
+        if (!entry) {
+          return res.status(400).json({ error: itemId ? 'Item not found' : 'Unknown or empty segment' });
+        }
+
+        station.scheduler.insertIntoQueue(entry, position);
+        res.status(201).json({ id: entry.queueId, schedule: station.scheduler.getUpcoming(20) });
+      } catch (error) {
+        console.error('Failed to insert into queue:', error);
+        res.status(500).json({ error: 'Failed to insert into queue' });
+      }
+    });
+
+    router.post('/api/admin/queue/:id/move', admin, (req, res) => {
+      const position = parsePosition(req.body?.position);
+      if (position === null) {
+        return res.status(400).json({ error: 'Invalid position' });
+      }
+
+      const entry = station.scheduler.moveQueueEntry(req.params.id, position);
+      if (!entry) {
+        return res.status(404).json({ error: 'Queue entry not found' });
+      }
+      res.json({ id: entry.queueId, schedule: station.scheduler.getUpcoming(20) });
+    });
+
+    router.delete('/api/admin/queue/:id', admin, (req, res) => {
+      const entry = station.scheduler.removeQueueEntry(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Queue entry not found' });
+      }
+      res.json({ removed: entry.queueId, schedule: station.scheduler.getUpcoming(20) });
     });
   }
 
   async start() {
     try {
-      await this.streamManager.initialize();
-      await this.scheduler.initialize();
-      this.scheduler.start();
+      for (const config of await loadStationConfigs(this.stationsFile)) {
+        this.stations.set(config.id, new Station(config, this.stationOptions));
+      }
+      this.defaultStation = this.stations.values().next().value;
+      this.setupRoutes();
+
+      for (const station of this.stations.values()) {
+        await station.start();
+      }
+
+      if ([...this.stations.values()].some(station => station.livePassword)) {
+        await this.liveInput.start();
+      }
       
       this.app.listen(this.port, () => {
         console.log(`Radio Station streaming on http://localhost:${this.port}`);
         console.log(`MP3 Stream: http://localhost:${this.port}/stream`);
         console.log(`HLS Stream: http://localhost:${this.port}/hls/stream.m3u8`);
         console.log(`ICY Stream: http://localhost:${this.port}/stream?icy=1`);
+        for (const station of this.stations.values()) {
+          console.log(`Station "${station.id}": http://localhost:${this.port}/stations/${station.id}/stream`);
+        }
         console.log(`Web Player: http://localhost:${this.port}`);
       });
     } catch (error) {
@@ -0,0 +1,259 @@
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonConfig } from '../core/jsonFiles.js';
+
+// The templates come from the TTS file, {name} placeholders are filled from
+// the weather, the clock or the track. Without them nothing is spoken.
+const DEFAULT_TTS = {
+  engine: 'espeak-ng',
+  voice: 'en-us',
+  backAnnounceChance: 0.5, // share of outros spoken by TTS when recorded ones exist
+  templates: {}
+};
+
+// Local engines writing a WAV file from text on stdin. `args` may use
+// {voice} and {output}; a TTS file can define its own the same way.
+const ENGINES = {
+  'espeak-ng': { command: 'espeak-ng', args: ['-v', '{voice}', '-w', '{output}', '--stdin'] },
+  piper: { command: 'piper', args: ['--model', '{voice}', '--output_file', '{output}'] }
+};
+
+// Item types, matching the recorded clips they stand in for
+const ITEM_TYPES = {
+  weather: 'dj-weather',
+  alert: 'dj-weather',
+  time: 'dj-time',
+  backAnnounce: 'dj-outro'
+};
+
+// Reads the duration of a PCM WAV file from its fmt and data chunks
+function getWavDuration(buffer) {
+  let byteRate = 0;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ') byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === 'data' && byteRate > 0) {
+      // Engines writing to a pipe leave the size unset, trust the file instead
+      const available = buffer.length - offset - 8;
+      return Math.round(Math.min(size, available) / byteRate * 1000);
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return 0;
+}
+
+// Renders templated announcements to cached audio items, so the DJ can say
+// what no pre-recorded clip can: the actual temperature, the time, the track
+// that just played. Same text, same voice: the cached file is reused.
+export class TextToSpeech extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.configFile = options.configFile;
+    this.cachePath = options.cachePath;
+    this.station = options.station || 'the radio';
+    this.analyzer = options.analyzer || null; // probes rendered files like library ones
+    this.timeout = options.timeout || 30000;
+    this.maxCacheAge = options.maxCacheAge || 30 * 24 * 60 * 60 * 1000; // unused files pruned on load
+
+    this.enabled = false;
+    this.pending = new Map(); // file -> render promise
+    this.setConfig(DEFAULT_TTS);
+  }
+
+  async load() {
+    this.setConfig(await readJsonConfig(this.configFile, DEFAULT_TTS, 'TTS settings'));
+
+    if (!this.engine) {
+      console.log('🗣️  Text-to-speech disabled');
+      return;
+    }
+
+    this.enabled = await this.checkEngine();
+    if (!this.enabled) {
+      console.warn(`⚠️  TTS engine "${this.engine.command}" not found, announcements use recorded clips only`);
+      return;
+    }
+
+    await fs.mkdir(this.cachePath, { recursive: true });
+    await this.pruneCache();
+    console.log(`🗣️  Text-to-speech with ${this.engine.command} (${this.voice || 'default voice'})`);
+  }
+
+  setConfig(config) {
+    const engine = config.engine === 'none' || config.engine === false
+      ? null
+      : (typeof config.engine === 'object' ? config.engine : ENGINES[config.engine || DEFAULT_TTS.engine]);
+
+    if (engine === undefined) {
+      console.warn(`⚠️  Unknown TTS engine "${config.engine}", expected ${Object.keys(ENGINES).join(', ')} or { command, args }`);
+    }
+
+    this.engine = engine?.command ? { command: engine.command, args: engine.args || [] } : null;
+    this.voice = config.voice ?? DEFAULT_TTS.voice;
+    this.backAnnounceChance = Number(config.backAnnounceChance ?? DEFAULT_TTS.backAnnounceChance);
+    this.templates = { ...DEFAULT_TTS.templates, ...config.templates };
+  }
+
+  // The engine may simply not be installed on this machine
+  checkEngine() {
+    return new Promise(resolve => {
+      const child = spawn(this.engine.command, ['--version'], { stdio: 'ignore' });
+      child.on('error', () => resolve(false));
+      child.on('close', () => resolve(true));
+    });
+  }
+
+  // Picks one of the templates for `kind` that every placeholder can be
+  // filled in, e.g. no "{city}" when the weather location has no name
+  getScript(kind, values = {}) {
+    const all = { station: this.station, ...values };
+    const fillable = template => [...template.matchAll(/\{(\w+)\}/g)]
+      .every(([, name]) => all[name] !== undefined && all[name] !== null && all[name] !== '');
+    const templates = [].concat(this.templates[kind] || []).filter(fillable);
+    if (templates.length === 0) return null;
+
+    const template = templates[Math.floor(Math.random() * templates.length)];
+    const text = template.replace(/\{(\w+)\}/g, (match, name) => all[name] ?? '').replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+
+  getCacheFile(text) {
+    const hash = createHash('sha1')
+      .update(`${this.engine.command}\n${this.engine.args.join(' ')}\n${this.voice}\n${text}`)
+      .digest('hex');
+    return path.join(this.cachePath, `${hash.slice(0, 20)}.wav`);
+  }
+
+  // Renders now and resolves to an audio item, or null when TTS is off or
+  // the engine failed
+  async announce(kind, values) {
+    const text = this.enabled ? this.getScript(kind, values) : null;
+    if (!text) return null;
+
+    const item = this.createItem(kind, text);
+    try {
+      await this.describe(item, await this.render(text, item.path));
+      return item;
+    } catch (error) {
+      console.warn(`Failed to speak "${text}":`, error.message);
+      return null;
+    }
+  }
+
+  // For items queued ahead of air: returns the item right away with an
+  // estimated duration, corrected once the file is rendered. If rendering
+  // fails, 'failed' tells the queue to let go of the item.
+  prepare(kind, values) {
+    const text = this.enabled ? this.getScript(kind, values) : null;
+    if (!text) return null;
+
+    const item = this.createItem(kind, text);
+    item.duration = Math.round(text.length * 75) + 500; // about 13 characters a second
+    this.render(text, item.path)
+      .then(duration => this.describe(item, duration))
+      .catch(error => {
+        console.warn(`Failed to speak "${text}":`, error.message);
+        this.emit('failed', item);
+      });
+    return item;
+  }
+
+  // Format and loudness as for library items, so the item is normalised,
+  // can join gapless sequences and counts in the queue length
+  async describe(item, duration) {
+    if (this.analyzer) {
+      const analysis = await this.analyzer.analyzeFile(item.path);
+      item.metadata = analysis.metadata;
+      item.streamingInfo = analysis.streamingInfo;
+      item.loudness = await this.analyzer.analyzeLoudness(item.path);
+      duration = duration || analysis.duration || 0;
+    }
+    if (!duration) throw new Error(`no audio in ${item.path}`);
+    item.duration = duration;
+  }
+
+  createItem(kind, text) {
+    return {
+      path: this.getCacheFile(text),
+      title: text,
+      type: ITEM_TYPES[kind] || 'dj',
+      tts: kind,
+      duration: 0,
+      startTime: null
+    };
+  }
+
+  async render(text, file) {
+    try {
+      const buffer = await fs.readFile(file);
+      const now = new Date();
+      fs.utimes(file, now, now).catch(() => {}); // keeps it out of the pruning
+      return getWavDuration(buffer);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.pending.has(file)) {
+      const rendering = this.synthesize(text, file).finally(() => this.pending.delete(file));
+      this.pending.set(file, rendering);
+    }
+    await this.pending.get(file);
+    return getWavDuration(await fs.readFile(file));
+  }
+
+  // Written next to the final name and renamed, so a half-written file is
+  // never played
+  synthesize(text, file) {
+    const partial = `${file}.${process.pid}.tmp`;
+    const args = this.engine.args.map(arg => arg
+      .replace('{voice}', this.voice || '')
+      .replace('{output}', partial));
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.engine.command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+      let errorOutput = '';
+      const timer = setTimeout(() => child.kill('SIGKILL'), this.timeout);
+
+      child.stderr.on('data', (data) => {
+        errorOutput = (errorOutput + data.toString()).slice(-1024);
+      });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          fs.unlink(partial).catch(() => {});
+          reject(new Error(errorOutput.trim() || `${this.engine.command} exited with code ${code}`));
+        }
+      });
+
+      child.stdin.on('error', () => {}); // reported through close
+      child.stdin.end(`${text}\n`);
+    }).then(() => fs.rename(partial, file));
+  }
+
+  async pruneCache() {
+    try {
+      const now = Date.now();
+      for (const name of await fs.readdir(this.cachePath)) {
+        const file = path.join(this.cachePath, name);
+        const stats = await fs.stat(file);
+        if (now - stats.mtimeMs > this.maxCacheAge) {
+          await fs.unlink(file);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to prune the TTS cache:', error.message);
+    }
+  }
+}
@@ -1,91 +1,115 @@
-import axios from 'axios';
+import { OpenMeteoProvider } from './weather/OpenMeteoProvider.js';
+import { OpenWeatherMapProvider } from './weather/OpenWeatherMapProvider.js';
+import { StubWeatherProvider } from './weather/StubWeatherProvider.js';
 
+const PROVIDERS = {
+  openweathermap: OpenWeatherMapProvider,
+  'open-meteo': OpenMeteoProvider,
+  stub: StubWeatherProvider
+};
+
+function createProvider(options) {
+  const apiKey = options.apiKey || process.env.OPENWEATHER_API_KEY || null;
+  let name = options.provider || process.env.WEATHER_PROVIDER || (apiKey ? 'openweathermap' : 'open-meteo');
+
+  if (!PROVIDERS[name]) {
+    console.warn(`⚠️  Unknown weather provider "${name}", expected ${Object.keys(PROVIDERS).join(', ')}`);
+    name = apiKey ? 'openweathermap' : 'open-meteo';
+  }
+  if (name === 'openweathermap' && !apiKey) {
+    console.warn('⚠️  OpenWeatherMap needs OPENWEATHER_API_KEY, using the offline stub');
+    name = 'stub';
+  }
+  return new PROVIDERS[name]({ ...options, apiKey });
+}
+
+// Weather for the station's location from a pluggable provider. Each kind of
+// data is cached for a while, the DJ and the player ask often.
 export class WeatherService {
-  constructor() {
-    this.city = 'Paris';
-    this.country = 'FR';
-    this.apiKey = process.env.OPENWEATHER_API_KEY || 'demo_key';
-    this.cache = null;
-    this.cacheTime = 0;
+  constructor(options = {}) {
+    this.city = options.city || 'Paris';
+    this.country = options.country || 'FR';
+    this.latitude = options.latitude ?? null;
+    this.longitude = options.longitude ?? null;
+    this.provider = createProvider(options);
+    this.cache = new Map(); // "current" | "forecast:<days>" | "alerts" -> { data, time }
     this.cacheExpiry = 10 * 60 * 1000; // 10 minutes
   }
 
   setLocation(city, country) {
     this.city = city;
     this.country = country;
-    this.cache = null; // Clear cache when location changes
+    this.latitude = null;
+    this.longitude = null;
+    this.cache.clear(); // Clear cache when location changes
     console.log(`🌍 Weather location set to: ${city}, ${country}`);
   }
 
-  async getCurrentWeather() {
-    // Return cached data if still valid
-    if (this.cache && Date.now() - this.cacheTime < this.cacheExpiry) {
-      return this.cache;
+  // `label` names the place for announcements, e.g. from reverse geocoding
+  setCoordinates(latitude, longitude, label = {}) {
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw Object.assign(new Error('Invalid coordinates'), { statusCode: 400 });
+    }
+
+    this.latitude = lat;
+    this.longitude = lon;
+    this.city = label.city || null;
+    this.country = label.country || null;
+    this.cache.clear();
+    console.log(`🌍 Weather location set to: ${lat.toFixed(4)}, ${lon.toFixed(4)}${this.city ? ` (${this.city})` : ''}`);
+  }
+
+  getLocation() {
+    return { city: this.city, country: this.country, latitude: this.latitude, longitude: this.longitude };
+  }
+
+  async cached(key, fetch) {
+    const entry = this.cache.get(key);
+    if (entry && Date.now() - entry.time < this.cacheExpiry) {
+      return entry.data;
     }
 
+    const data = await fetch();
+    this.cache.set(key, { data, time: Date.now() });
+    return data;
+  }
+
+  async getCurrentWeather() {
     try {
-      const weather = await this.fetchWeatherData();
-      this.cache = weather;
-      this.cacheTime = Date.now();
-      return weather;
+      return await this.cached('current', () => this.provider.getCurrent(this.getLocation()));
     } catch (error) {
       console.error('Failed to fetch weather data:', error.message);
       return this.getFallbackWeather();
     }
   }
 
-  async fetchWeatherData() {
-    if (this.apiKey === 'demo_key') {
-      // Return demo data if no API key is provided
-      return this.getDemoWeather();
+  // Daily outlook starting today
+  async getForecast(days = 3) {
+    try {
+      return await this.cached(`forecast:${days}`, () => this.provider.getForecast(this.getLocation(), days));
+    } catch (error) {
+      console.error('Failed to fetch weather forecast:', error.message);
+      throw Object.assign(new Error('Weather forecast unavailable'), { statusCode: 502 });
     }
-
-    const url = `https://api.openweathermap.org/data/2.5/weather?q=${this.city},${this.country}&appid=${this.apiKey}&units=metric`;
-    
-    const response = await axios.get(url, { timeout: 5000 });
-    const data = response.data;
-
-    return {
-      city: data.name,
-      country: data.sys.country,
-      condition: data.weather[0].main,
-      description: data.weather[0].description,
-      temperature: Math.round(data.main.temp),
-      humidity: data.main.humidity,
-      windSpeed: Math.round(data.wind?.speed || 0),
-      timestamp: Date.now()
-    };
   }
 
-  getDemoWeather() {
-    const conditions = ['Clear', 'Clouds', 'Rain', 'Wind', 'Fog'];
-    const descriptions = {
-      'Clear': 'sunny skies',
-      'Clouds': 'partly cloudy',
-      'Rain': 'light rain',
-      'Wind': 'windy conditions',
-      'Fog': 'foggy weather'
-    };
-
-    const condition = conditions[Math.floor(Math.random() * conditions.length)];
-    
-    return {
-      city: this.city,
-      country: this.country,
-      condition: condition,
-      description: descriptions[condition],
-      temperature: Math.floor(Math.random() * 25) + 5, // 5-30°C
-      humidity: Math.floor(Math.random() * 40) + 40, // 40-80%
-      windSpeed: Math.floor(Math.random() * 20) + 5, // 5-25 km/h
-      timestamp: Date.now(),
-      demo: true
-    };
+  async getAlerts() {
+    try {
+      return await this.cached('alerts', () => this.provider.getAlerts(this.getLocation()));
+    } catch (error) {
+      console.error('Failed to fetch weather alerts:', error.message);
+      throw Object.assign(new Error('Weather alerts unavailable'), { statusCode: 502 });
+    }
   }
 
   getFallbackWeather() {
     return {
       city: this.city,
       country: this.country,
+      latitude: this.latitude,
+      longitude: this.longitude,
       condition: 'Clear',
       description: 'pleasant weather',
       temperature: 20,
@@ -102,8 +126,8 @@ export class WeatherService {
       'Clouds': 'CLOUDY',
       'Rain': 'RAIN',
       'Drizzle': 'RAIN',
-      'Thunderstorm': 'RAIN',
-      'Snow': 'CLOUDY',
+      'Thunderstorm': 'STORM',
+      'Snow': 'SNOW',
       'Mist': 'FOG',
       'Fog': 'FOG',
       'Haze': 'FOG',
@@ -112,4 +136,4 @@ export class WeatherService {
 
     return conditionMap[condition] || 'CLOUDY';
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,169 @@
+import axios from 'axios';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+// WMO weather interpretation codes, as main condition and description
+const WMO_CODES = {
+  0: ['Clear', 'clear sky'],
+  1: ['Clear', 'mainly clear skies'],
+  2: ['Clouds', 'partly cloudy'],
+  3: ['Clouds', 'overcast'],
+  45: ['Fog', 'fog'],
+  48: ['Fog', 'freezing fog'],
+  51: ['Drizzle', 'light drizzle'],
+  53: ['Drizzle', 'drizzle'],
+  55: ['Drizzle', 'dense drizzle'],
+  56: ['Drizzle', 'freezing drizzle'],
+  57: ['Drizzle', 'dense freezing drizzle'],
+  61: ['Rain', 'light rain'],
+  63: ['Rain', 'rain'],
+  65: ['Rain', 'heavy rain'],
+  66: ['Rain', 'freezing rain'],
+  67: ['Rain', 'heavy freezing rain'],
+  71: ['Snow', 'light snow'],
+  73: ['Snow', 'snow'],
+  75: ['Snow', 'heavy snow'],
+  77: ['Snow', 'snow grains'],
+  80: ['Rain', 'light showers'],
+  81: ['Rain', 'showers'],
+  82: ['Rain', 'violent showers'],
+  85: ['Snow', 'snow showers'],
+  86: ['Snow', 'heavy snow showers'],
+  95: ['Thunderstorm', 'thunderstorms'],
+  96: ['Thunderstorm', 'thunderstorms with hail'],
+  99: ['Thunderstorm', 'thunderstorms with heavy hail']
+};
+
+// Open-Meteo publishes no official warnings: these forecast values are
+// reported as alerts instead
+const SEVERE_CODES = {
+  65: 'Heavy rain',
+  67: 'Freezing rain',
+  75: 'Heavy snow',
+  82: 'Violent showers',
+  86: 'Heavy snow showers',
+  96: 'Thunderstorms with hail',
+  99: 'Thunderstorms with heavy hail'
+};
+const EXTREME_HEAT = 35; // °C
+const DAMAGING_GUSTS = 90; // km/h
+const WINDY = 40; // km/h, reported as Wind when the sky itself is uneventful
+
+function describeCode(code) {
+  const [condition, description] = WMO_CODES[code] || ['Clouds', 'cloudy'];
+  return { condition, description };
+}
+
+// Open-Meteo: free, no API key. Cities are looked up with its geocoding API,
+// which has no reverse lookup: coordinates alone leave the place unnamed.
+export class OpenMeteoProvider {
+  constructor(options = {}) {
+    this.name = 'open-meteo';
+    this.timeout = options.timeout || 5000;
+    this.places = new Map(); // "city,country" -> { latitude, longitude }
+  }
+
+  async resolve(location) {
+    if (location.latitude !== null) return location;
+
+    const key = `${location.city},${location.country}`.toLowerCase();
+    if (!this.places.has(key)) {
+      const response = await axios.get(GEOCODING_URL, {
+        params: { name: location.city, countryCode: location.country, count: 1 },
+        timeout: this.timeout
+      });
+      const place = response.data.results?.[0];
+      if (!place) {
+        throw new Error(`unknown place "${location.city}, ${location.country}"`);
+      }
+      this.places.set(key, { latitude: place.latitude, longitude: place.longitude });
+    }
+    return { ...location, ...this.places.get(key) };
+  }
+
+  async request(location, params) {
+    const { latitude, longitude } = await this.resolve(location);
+    const response = await axios.get(FORECAST_URL, {
+      params: { latitude, longitude, timezone: 'auto', ...params },
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  async getCurrent(location) {
+    const data = await this.request(location, {
+      current: 'temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m'
+    });
+    const current = data.current;
+    const windSpeed = Math.round(current.wind_speed_10m || 0);
+    let { condition, description } = describeCode(current.weather_code);
+
+    if (windSpeed >= WINDY && (condition === 'Clear' || condition === 'Clouds')) {
+      condition = 'Wind';
+      description = 'windy conditions';
+    }
+
+    return {
+      city: location.city,
+      country: location.country,
+      latitude: data.latitude,
+      longitude: data.longitude,
+      condition,
+      description,
+      temperature: Math.round(current.temperature_2m),
+      humidity: current.relative_humidity_2m,
+      windSpeed,
+      timestamp: Date.now()
+    };
+  }
+
+  async getDaily(location, days) {
+    const data = await this.request(location, {
+      daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max,wind_gusts_10m_max',
+      forecast_days: days
+    });
+    return data.daily;
+  }
+
+  async getForecast(location, days) {
+    const daily = await this.getDaily(location, days);
+
+    return daily.time.map((date, index) => ({
+      date,
+      ...describeCode(daily.weather_code[index]),
+      temperatureMin: Math.round(daily.temperature_2m_min[index]),
+      temperatureMax: Math.round(daily.temperature_2m_max[index]),
+      precipitationChance: daily.precipitation_probability_max[index] ?? null
+    }));
+  }
+
+  // Severe conditions in today's and tomorrow's forecast
+  async getAlerts(location) {
+    const daily = await this.getDaily(location, 2);
+    const alerts = [];
+
+    daily.time.forEach((date, index) => {
+      const alert = (event, description) => alerts.push({
+        event,
+        severity: 'severe',
+        start: date,
+        end: date,
+        description,
+        source: 'Open-Meteo forecast'
+      });
+
+      const code = daily.weather_code[index];
+      if (SEVERE_CODES[code]) {
+        alert(SEVERE_CODES[code], `${SEVERE_CODES[code]} expected`);
+      }
+      if (daily.temperature_2m_max[index] >= EXTREME_HEAT) {
+        alert('Extreme heat', `Highs up to ${Math.round(daily.temperature_2m_max[index])}°C`);
+      }
+      if (daily.wind_gusts_10m_max[index] >= DAMAGING_GUSTS) {
+        alert('Damaging winds', `Gusts up to ${Math.round(daily.wind_gusts_10m_max[index])} km/h`);
+      }
+    });
+    return alerts;
+  }
+}
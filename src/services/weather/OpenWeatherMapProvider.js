@@ -0,0 +1,105 @@
+import axios from 'axios';
+
+const BASE_URL = 'https://api.openweathermap.org/data';
+
+// Most frequent value, ties going to the first seen
+function mostFrequent(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+// OpenWeatherMap: current weather and the 5 day / 3 hour forecast on the free
+// plan. Alerts come from One Call 3.0, which needs its own subscription.
+export class OpenWeatherMapProvider {
+  constructor(options = {}) {
+    this.name = 'openweathermap';
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout || 5000;
+    this.alertsEnabled = true; // off once the key turns out to lack One Call 3.0
+  }
+
+  async request(url, params) {
+    const response = await axios.get(`${BASE_URL}${url}`, {
+      params: { ...params, appid: this.apiKey, units: 'metric' },
+      timeout: this.timeout
+    });
+    return response.data;
+  }
+
+  locationParams(location) {
+    return location.latitude !== null
+      ? { lat: location.latitude, lon: location.longitude }
+      : { q: `${location.city},${location.country}` };
+  }
+
+  async getCurrent(location) {
+    const data = await this.request('/2.5/weather', this.locationParams(location));
+
+    return {
+      city: location.city || data.name,
+      country: location.country || data.sys.country,
+      latitude: data.coord.lat,
+      longitude: data.coord.lon,
+      condition: data.weather[0].main,
+      description: data.weather[0].description,
+      temperature: Math.round(data.main.temp),
+      humidity: data.main.humidity,
+      windSpeed: Math.round((data.wind?.speed || 0) * 3.6), // m/s to km/h
+      timestamp: Date.now()
+    };
+  }
+
+  // Three-hourly steps folded into days, in the location's own time zone
+  async getForecast(location, days) {
+    const data = await this.request('/2.5/forecast', this.locationParams(location));
+    const offset = data.city?.timezone || 0;
+    const byDay = new Map();
+
+    for (const step of data.list) {
+      const date = new Date((step.dt + offset) * 1000).toISOString().slice(0, 10);
+      if (!byDay.has(date)) byDay.set(date, []);
+      byDay.get(date).push(step);
+    }
+
+    return [...byDay.entries()].slice(0, days).map(([date, steps]) => {
+      const condition = mostFrequent(steps.map(step => step.weather[0].main));
+      return {
+        date,
+        condition,
+        description: steps.find(step => step.weather[0].main === condition).weather[0].description,
+        temperatureMin: Math.round(Math.min(...steps.map(step => step.main.temp_min))),
+        temperatureMax: Math.round(Math.max(...steps.map(step => step.main.temp_max))),
+        precipitationChance: Math.round(Math.max(...steps.map(step => step.pop || 0)) * 100)
+      };
+    });
+  }
+
+  async getAlerts(location) {
+    if (!this.alertsEnabled) return [];
+    const { latitude, longitude } = location.latitude !== null ? location : await this.getCurrent(location);
+
+    try {
+      const data = await this.request('/3.0/onecall', {
+        lat: latitude,
+        lon: longitude,
+        exclude: 'current,minutely,hourly,daily'
+      });
+      return (data.alerts || []).map(alert => ({
+        event: alert.event,
+        severity: null, // not provided by OpenWeatherMap
+        start: new Date(alert.start * 1000).toISOString(),
+        end: new Date(alert.end * 1000).toISOString(),
+        description: alert.description,
+        source: alert.sender_name
+      }));
+    } catch (error) {
+      if (error.response?.status === 401) {
+        this.alertsEnabled = false;
+        console.warn('⚠️  OpenWeatherMap alerts need a One Call 3.0 subscription on this API key, alerts disabled');
+        return [];
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+
+// Used when no fixture file is given: the same weather every time
+const DEFAULT_FIXTURE = {
+  current: { condition: 'Rain', description: 'light rain', temperature: 14, humidity: 82, windSpeed: 18 },
+  forecast: [
+    { condition: 'Rain', description: 'light rain', temperatureMin: 9, temperatureMax: 15, precipitationChance: 80 },
+    { condition: 'Clouds', description: 'partly cloudy', temperatureMin: 8, temperatureMax: 17, precipitationChance: 20 },
+    { condition: 'Clear', description: 'clear sky', temperatureMin: 10, temperatureMax: 21, precipitationChance: 0 }
+  ],
+  alerts: []
+};
+
+// Offline backend for development and tests. The fixture file is re-read on
+// every request, so the weather can be changed while the station runs.
+// Forecast days are counted from today.
+export class StubWeatherProvider {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.fixtureFile = options.fixture || null;
+  }
+
+  async loadFixture() {
+    if (!this.fixtureFile) return DEFAULT_FIXTURE;
+    return { ...DEFAULT_FIXTURE, ...JSON.parse(await fs.readFile(this.fixtureFile, 'utf8')) };
+  }
+
+  async getCurrent(location) {
+    const fixture = await this.loadFixture();
+    return {
+      city: location.city || 'Testville',
+      country: location.country,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      ...fixture.current,
+      timestamp: Date.now(),
+      stub: true
+    };
+  }
+
+  async getForecast(location, days) {
+    const fixture = await this.loadFixture();
+    return fixture.forecast.slice(0, days).map((day, index) => ({
+      date: new Date(Date.now() + index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      ...day
+    }));
+  }
+
+  async getAlerts() {
+    return (await this.loadFixture()).alerts;
+  }
+}